@@ -1,20 +1,35 @@
-const { MongoClient, ObjectId } = require("mongodb");
-const WebSocket = require("ws");
+const { ObjectId } = require("mongodb");
 const BigNumber = require("bignumber.js");
-const fetch = (...args) =>
-  import("node-fetch").then(({ default: fetch }) => fetch(...args));
 const Bottleneck = require("bottleneck"); // Import Bottleneck
+const { createConnectionPool } = require("./xrplConnectionPool");
+const { startAMMStream } = require("./ammStream");
+const { recordSnapshot } = require("./ammSnapshots");
+const {
+  POOL_DISCOVERY_INTERVAL_MS,
+  needsDiscovery,
+  discoverPoolAccounts,
+  fetchPoolStats,
+  toStoredPool,
+} = require("./ammPools");
+const { buildDepthTable } = require("./ammSlippage");
+const { evaluatePoolHealth } = require("./poolHealth");
+const { fetchOrderBook, combineWithAMM } = require("./orderBook");
+const { getAMMVolume } = require("./ammTrades");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { isValidCurrencyCode } = require("../lib/currencyCode");
+const { evaluateKingOfTheHill, recordKingOfTheHillEvent } = require("../lib/kingOfTheHill");
+const { applyPriceCandidate, getMarketCapSupply } = require("../lib/priceOracle");
 
 // Set BigNumber configuration to avoid scientific notation
 BigNumber.config({ EXPONENTIAL_AT: 1e9 });
 
-// MongoDB connection details
-const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
-const DB_NAME = process.env.DB_NAME || "xrpFun";
-const COLLECTION_NAME = process.env.COLLECTION_NAME || "coins";
+// "poll" re-queries every pool continuously, "stream" only re-queries pools touched each ledger
+const AMM_UPDATE_MODE = process.argv.includes("--stream")
+  ? "stream"
+  : process.env.AMM_UPDATE_MODE || "poll";
 
 // Rate limiting constants for xrplcluster.com
-const XRPL_MAX_CONNECTIONS = 5;
+const XRPL_MAX_CONNECTIONS = 5; // Max concurrent in-flight requests
 const XRPL_MAX_MESSAGES_PER_MINUTE = 1000;
 
 // Create a Bottleneck limiter for xrplcluster.com
@@ -22,7 +37,7 @@ const xrplClusterLimiter = new Bottleneck({
   reservoir: XRPL_MAX_MESSAGES_PER_MINUTE, // Number of messages
   reservoirRefreshAmount: XRPL_MAX_MESSAGES_PER_MINUTE,
   reservoirRefreshInterval: 60 * 1000, // Refresh every minute
-  maxConcurrent: XRPL_MAX_CONNECTIONS, // Max concurrent connections
+  maxConcurrent: XRPL_MAX_CONNECTIONS, // Max concurrent requests
   minTime: Math.ceil(60000 / XRPL_MAX_MESSAGES_PER_MINUTE), // Minimum time between messages
 });
 
@@ -33,91 +48,50 @@ const XRPL_WSS_LIST = [
   "wss://xrplcluster.com/", // This node has rate limits
 ];
 
-// Create a cached database connection
-let cachedClient = null;
-let cachedDb = null;
-
-async function connectToDatabase() {
-  if (cachedClient && cachedDb) {
-    return { client: cachedClient, db: cachedDb };
+// Nodes that keep full ledger history, for lookups of old transactions such as account
+// activations (s1.ripple.com only keeps recent ledgers)
+const XRPL_FULL_HISTORY_WSS_LIST = process.env.XRPL_FULL_HISTORY_WSS
+  ? process.env.XRPL_FULL_HISTORY_WSS.split(",")
+  : ["wss://s2.ripple.com/", "wss://xrplcluster.com/"];
+
+// Shared connection pools, created on first use
+let cachedPool = null;
+let cachedFullHistoryPool = null;
+
+function getConnectionPool() {
+  if (!cachedPool) {
+    cachedPool = createConnectionPool(XRPL_WSS_LIST, {
+      // Requests routed to xrplcluster.com go through the Bottleneck limiter
+      limiters: { "xrplcluster.com": xrplClusterLimiter },
+    });
   }
-
-  const client = await MongoClient.connect(MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  });
-
-  const db = client.db(DB_NAME);
-  cachedClient = client;
-  cachedDb = db;
-
-  return { client, db };
+  return cachedPool;
 }
 
-async function getAMMInfo(asset, asset2) {
-  for (const selectedWSS of XRPL_WSS_LIST) {
-    try {
-      if (selectedWSS.includes("xrplcluster.com")) {
-        // Use the Bottleneck limiter for xrplcluster.com
-        const limitedFetch = xrplClusterLimiter.wrap(() =>
-          fetchAMMInfo(selectedWSS, asset, asset2)
-        );
-        const result = await limitedFetch();
-        return result;
-      } else {
-        // For other nodes, proceed without rate limiting
-        const result = await fetchAMMInfo(selectedWSS, asset, asset2);
-        return result;
-      }
-    } catch (error) {
-      console.error(`Error with node ${selectedWSS}:`, error.message);
-      // Continue to the next node if there's an error
-    }
+function getFullHistoryPool() {
+  if (!cachedFullHistoryPool) {
+    cachedFullHistoryPool = createConnectionPool(XRPL_FULL_HISTORY_WSS_LIST, {
+      limiters: { "xrplcluster.com": xrplClusterLimiter },
+    });
   }
-
-  throw new Error("Failed to get AMM info from all available nodes");
+  return cachedFullHistoryPool;
 }
 
-function fetchAMMInfo(selectedWSS, asset, asset2) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(selectedWSS);
-
-    const timeout = setTimeout(() => {
-      ws.close();
-      reject(new Error("WebSocket connection timeout"));
-    }, 10000); // 10 seconds timeout
-
-    ws.on("open", () => {
-      clearTimeout(timeout);
-      const request = {
-        command: "amm_info",
-        asset: asset,
-        asset2: asset2,
-      };
-      ws.send(JSON.stringify(request));
-    });
-
-    ws.on("message", (data) => {
-      try {
-        const response = JSON.parse(data);
-        ws.close();
-        if (response.result) {
-          resolve(response.result);
-        } else {
-          reject(new Error("Invalid response format"));
-        }
-      } catch (parseError) {
-        ws.close();
-        reject(new Error("Failed to parse WebSocket message"));
-      }
-    });
+// Function to return the AMM accounts for a coin, re-scanning the issuer when due
+async function getPoolAccounts(token, collection) {
+  if (!needsDiscovery(token)) {
+    return token.ammPoolAccounts || [];
+  }
 
-    ws.on("error", (error) => {
-      clearTimeout(timeout);
-      ws.close();
-      reject(new Error(`Node ${selectedWSS} error: ${error.message}`));
-    });
-  });
+  const ammPoolAccounts = await discoverPoolAccounts(getConnectionPool(), token);
+  await collection.updateOne(
+    { _id: token._id },
+    { $set: { ammPoolAccounts, ammPoolsDiscoveredAt: new Date() } }
+  );
+  if (ammPoolAccounts.length > 0) {
+    console.log(`Discovered ${ammPoolAccounts.length} AMM pools for ${token.symbol}`);
+  }
+  return ammPoolAccounts;
 }
 
 // Function to fetch and update AMM info, prices, market caps, and King of the Hill status
@@ -128,12 +102,25 @@ async function updateAMMInfo() {
     const { db } = await connectToDatabase();
     const collection = db.collection(COLLECTION_NAME);
 
+    // Coins with known pools, plus any whose pool discovery is due
+    const discoveryCutoff = new Date(Date.now() - POOL_DISCOVERY_INTERVAL_MS);
     const tokens = await collection
-      .find({ ammAddress: { $exists: true, $ne: "" } })
+      .find({
+        $or: [
+          { ammAddress: { $exists: true, $ne: "" } },
+          { "ammPoolAccounts.0": { $exists: true } },
+          { ammPoolsDiscoveredAt: { $exists: false } },
+          { ammPoolsDiscoveredAt: { $lt: discoveryCutoff } },
+        ],
+      })
       .toArray();
 
     console.log(`Starting update for ${tokens.length} tokens`);
 
+    // Open the pooled sockets once instead of a handshake per token
+    const openConnections = await getConnectionPool().warmUp();
+    console.log(`XRPL connections open: ${openConnections}`);
+
     await processTokens(tokens, collection);
 
     console.log(
@@ -147,7 +134,7 @@ async function updateAMMInfo() {
 }
 
 // Modify the processTokens function to maximize throughput while respecting rate limits
-async function processTokens(tokens, collection) {
+async function processTokens(tokens, collection, options = {}) {
   // Process all tokens concurrently, but limit the concurrency to prevent overwhelming the system
   const concurrency = 50; // Adjust based on your system's capacity
   const queue = [...tokens];
@@ -158,7 +145,7 @@ async function processTokens(tokens, collection) {
       while (queue.length > 0) {
         const token = queue.shift();
         if (token) {
-          await processToken(token, collection);
+          await processToken(token, collection, options);
         }
       }
     };
@@ -169,26 +156,51 @@ async function processTokens(tokens, collection) {
 }
 
 // Function to process a single token
-async function processToken(token, collection) {
-  const asset = { currency: "XRP" };
-  const asset2 = {
-    currency: token.currencyCode,
-    issuer: token.issuer,
-  };
-
+async function processToken(token, collection, options = {}) {
   try {
-    const ammInfoResult = await getAMMInfo(asset, asset2);
+    const poolAccounts = await getPoolAccounts(token, collection);
+    if (poolAccounts.length === 0) {
+      console.warn(`No AMM info found for ${token.symbol}`);
+      return;
+    }
+
+    // Query every pool the coin participates in
+    const pools = [];
+    for (const ammAccount of poolAccounts) {
+      try {
+        pools.push(await fetchPoolStats(getConnectionPool(), token, ammAccount));
+      } catch (poolError) {
+        console.error(
+          `Error fetching AMM ${ammAccount} for ${token.symbol}:`,
+          poolError.message
+        );
+      }
+    }
 
-    if (!ammInfoResult || !ammInfoResult.amm) {
+    // The XRP pool drives the headline figures; without one, the deepest routable pool does
+    const routable = pools.filter((pool) => pool.liquidityXRP !== null);
+    const primary =
+      routable.find((pool) => pool.isXRPPool) ||
+      routable.sort((a, b) => b.liquidityXRP.comparedTo(a.liquidityXRP))[0];
+
+    if (!primary) {
       console.warn(`No AMM info found for ${token.symbol}`);
       return;
     }
 
-    const ammInfo = ammInfoResult.amm;
+    const ammInfoResult = primary.ammInfoResult;
+    const ammInfo = primary.ammInfo;
+
+    // Aggregated liquidity across every pool that can be valued in XRP
+    const aggregatedLiquidityBN = routable.reduce(
+      (sum, pool) => sum.plus(pool.liquidityXRP),
+      new BigNumber(0)
+    );
 
-    // Use BigNumber for precise calculations
-    const xrpAmountBN = new BigNumber(ammInfo.amount).dividedBy(1e6);
-    const tokenAmountBN = new BigNumber(ammInfo.amount2.value);
+    // Use BigNumber for precise calculations.
+    // For non-XRP pools the counter side is expressed in XRP through the routing price.
+    const xrpAmountBN = primary.counterValueXRP;
+    const tokenAmountBN = primary.tokenReserve;
 
     // Calculate spot price (XRP per token)
     const spotPriceBN = xrpAmountBN.dividedBy(tokenAmountBN);
@@ -196,11 +208,9 @@ async function processToken(token, collection) {
     // Calculate price per XRP (tokens per XRP)
     const pricePerXRPBN = tokenAmountBN.dividedBy(xrpAmountBN);
 
-    // Calculate market cap: spotPrice * totalSupply
-    let marketCapBN = new BigNumber(0);
-    if (token.totalSupply) {
-      marketCapBN = spotPriceBN.multipliedBy(token.totalSupply);
-    }
+    // Calculate market cap: spotPrice * circulating supply (totalSupply until the supply updater has run)
+    const { supply } = getMarketCapSupply(token);
+    const marketCapBN = spotPriceBN.multipliedBy(supply);
 
     // Calculate total liquidity in XRP
     const tokenLiquidityInXRP = tokenAmountBN.multipliedBy(spotPriceBN);
@@ -213,22 +223,71 @@ async function processToken(token, collection) {
     const tokenPercentage = tokenLiquidityInXRP
       .dividedBy(totalLiquidityXRP)
       .multipliedBy(100);
-    const poolImbalance = xrpAmountBN.minus(tokenLiquidityInXRP);
-    const poolImbalancePercentage = poolImbalance
-      .dividedBy(totalLiquidityXRP)
-      .multipliedBy(100)
-      .abs();
-
-    // Check for King of the Hill status
-    let kingOfTheHill = token.kingOfTheHill;
-    const threshold = new BigNumber(58900); // Set your threshold value here
-    if (marketCapBN.isGreaterThanOrEqualTo(threshold) && !kingOfTheHill) {
-      kingOfTheHill = {
-        label: "King of the hill",
-        timestamp: new Date(),
-      };
+
+    // Depth table: XRP needed to move the price by each level, and tokens to move it down
+    const depthTable = buildDepthTable({
+      xrpReserve: xrpAmountBN,
+      tokenReserve: tokenAmountBN,
+      tradingFee: ammInfo.trading_fee,
+    });
+
+    // Record the AMM price with the oracle; the canonical price may come from another source.
+    // Like the other sources it is weighed by the XRP traded over the last 24h
+    const { db } = await connectToDatabase();
+    const ammVolume = await getAMMVolume(
+      db,
+      token._id,
+      new Date(Date.now() - 24 * 60 * 60 * 1000)
+    );
+    const { updateFields: priceFields, resolved } = applyPriceCandidate(token, "amm", {
+      price: spotPriceBN.toNumber(),
+      timestamp: new Date(),
+      weight: ammVolume.volume,
+    });
+
+    // Check for King of the Hill status against the canonical market cap
+    const kingOfTheHillUpdate = await evaluateKingOfTheHill(
+      db,
+      token,
+      {
+        marketCap: resolved ? resolved.marketCap : marketCapBN.toNumber(),
+        liquidity: aggregatedLiquidityBN.toNumber(),
+      },
+      resolved ? resolved.source : "amm"
+    );
+    const kingOfTheHill =
+      kingOfTheHillUpdate !== undefined ? kingOfTheHillUpdate.value : token.kingOfTheHill;
+
+    // Order book for the coin/XRP pair, combined with the XRP pool into best execution quotes
+    let orderBookFields = null;
+    if (token.issuer && isValidCurrencyCode(token.currencyCode)) {
+      try {
+        const book = await fetchOrderBook(getConnectionPool(), token);
+        const amm = primary.isXRPPool
+          ? {
+              xrpReserve: xrpAmountBN,
+              tokenReserve: tokenAmountBN,
+              tradingFee: ammInfo.trading_fee,
+            }
+          : null;
+        orderBookFields = combineWithAMM(book, amm);
+      } catch (bookError) {
+        console.error(`Error reading order book for ${token.symbol}:`, bookError.message);
+      }
     }
 
+    // Pool health from depth, reserve and LP supply changes, fee and order book deviation
+    const lastAMMUpdate = new Date();
+    const poolHealth = await evaluatePoolHealth(db, token, {
+      ammAccount: primary.ammAccount,
+      xrpReserve: xrpAmountBN.toFixed(6),
+      lpTokenSupply: ammInfo.lp_token && ammInfo.lp_token.value,
+      tradingFee: ammInfo.trading_fee,
+      spotPrice: spotPriceBN.toFixed(),
+      orderBookMid: orderBookFields && orderBookFields.orderBook.mid,
+      timestamp: lastAMMUpdate,
+    });
+
     console.log(`AMM Liquidity for ${token.symbol}:`);
     console.log(
       `XRP: ${xrpAmountBN.toFixed(6)} XRP (${xrpPercentage.toFixed(2)}% of pool)`
@@ -239,23 +298,33 @@ async function processToken(token, collection) {
       )} XRP, ${tokenPercentage.toFixed(2)}% of pool)`
     );
     console.log(`Total Liquidity: ${totalLiquidityXRP.toFixed(6)} XRP`);
+    console.log(`Pool Health: ${poolHealth.status} - ${poolHealth.message}`);
+    console.log(`Spot Price: ${spotPriceBN.toFixed()} XRP per ${token.symbol}`);
     console.log(
-      `Pool Imbalance: ${poolImbalance.toFixed(
-        6
-      )} XRP (${poolImbalancePercentage.toFixed(2)}%)`
+      `Price per XRP: ${pricePerXRPBN.toFixed(6)} ${token.symbol} per XRP`
     );
+    console.log(`Market Cap: ${marketCapBN.toFixed()} XRP`);
+    if (resolved) {
+      console.log(
+        `Canonical Market Cap: ${resolved.marketCap} XRP (source: ${resolved.source}, policy: ${resolved.policy})`
+      );
+    }
     console.log(
-      `Pool Health: ${
-        assessPoolHealth(poolImbalancePercentage.toNumber()).status
-      } - ${
-        assessPoolHealth(poolImbalancePercentage.toNumber()).message
-      }`
+      `Depth: ${depthTable.buy
+        .map((level) => `${level.xrpIn} XRP to +${level.pricePercent}%`)
+        .join(", ")}`
     );
-    console.log(`Spot Price: ${spotPriceBN.toFixed()} XRP per ${token.symbol}`);
+    if (orderBookFields) {
+      const { orderBook, execution } = orderBookFields;
+      console.log(
+        `Order Book: bid ${orderBook.bestBid || "-"} / ask ${orderBook.bestAsk || "-"} XRP, best execution bid ${
+          execution.bestBid || "-"
+        } / ask ${execution.bestAsk || "-"} XRP`
+      );
+    }
     console.log(
-      `Price per XRP: ${pricePerXRPBN.toFixed(6)} ${token.symbol} per XRP`
+      `Pools: ${pools.length} (${routable.length} routable to XRP), aggregated liquidity: ${aggregatedLiquidityBN.toFixed(6)} XRP`
     );
-    console.log(`Market Cap: ${marketCapBN.toFixed()} XRP`);
     if (kingOfTheHill) {
       console.log(`King of the Hill Status: ${kingOfTheHill.label}`);
     }
@@ -264,10 +333,12 @@ async function processToken(token, collection) {
     // Update the token document with all the new information
     const updateFields = {
       ammInfo: ammInfo,
-      lastAMMUpdate: new Date(),
+      lastAMMUpdate,
       spotPrice: spotPriceBN.toFixed(),
       pricePerXRP: pricePerXRPBN.toFixed(),
-      marketCap: marketCapBN.toFixed(),
+      // Market cap implied by the AMM alone; the canonical marketCap comes from the oracle
+      ammMarketCap: marketCapBN.toFixed(),
+      ...priceFields,
       totalLiquidity: totalLiquidityXRP.toFixed(6),
       xrpLiquidity: {
         amount: xrpAmountBN.toFixed(6),
@@ -278,30 +349,61 @@ async function processToken(token, collection) {
         xrpValue: tokenLiquidityInXRP.toFixed(6),
         percentage: tokenPercentage.toFixed(2),
       },
-      poolImbalance: {
-        amount: poolImbalance.toFixed(6),
-        percentage: poolImbalancePercentage.toFixed(2),
-        health: {
-          status: assessPoolHealth(poolImbalancePercentage.toNumber()).status,
-          message:
-            assessPoolHealth(poolImbalancePercentage.toNumber()).message,
-        },
-      },
+      poolHealth,
+      depthTable,
+      ammPools: pools.map(toStoredPool),
+      primaryAMMPool: primary.ammAccount,
+      // Stored as a number so it can be filtered and sorted on
+      aggregatedLiquidity: aggregatedLiquidityBN.decimalPlaces(6).toNumber(),
       lastUpdated: new Date(), // Always update the lastUpdated field
     };
 
-    if (kingOfTheHill) {
-      updateFields.kingOfTheHill = kingOfTheHill;
+    if (orderBookFields) {
+      updateFields.orderBook = orderBookFields.orderBook;
+      updateFields.bestExecution = orderBookFields.execution;
+    }
+
+    if (kingOfTheHillUpdate !== undefined) {
+      updateFields.kingOfTheHill = kingOfTheHillUpdate.value;
     }
 
     await collection.updateOne(
       { _id: token._id },
       {
         $set: updateFields,
+        // Replaced by poolHealth
+        $unset: { poolImbalance: "" },
       }
     );
+    if (kingOfTheHillUpdate !== undefined) {
+      await recordKingOfTheHillEvent(db, kingOfTheHillUpdate.event);
+    }
 
     console.log(`Updated AMM info for ${token.symbol}`);
+
+    // Append the update to the pool history; a failure here must not block price updates
+    try {
+      await recordSnapshot(db, token, {
+        timestamp: updateFields.lastAMMUpdate,
+        ledgerIndex:
+          ammInfoResult.ledger_index ||
+          options.ledgerIndex ||
+          ammInfoResult.ledger_current_index,
+        spotPrice: updateFields.spotPrice,
+        marketCap: updateFields.ammMarketCap,
+        totalLiquidity: updateFields.totalLiquidity,
+        xrpReserve: updateFields.xrpLiquidity.amount,
+        tokenReserve: updateFields.tokenLiquidity.amount,
+        lpTokenSupply: ammInfo.lp_token && ammInfo.lp_token.value,
+        tradingFee: ammInfo.trading_fee,
+        healthStatus: poolHealth.status,
+      });
+    } catch (snapshotError) {
+      console.error(
+        `Error recording AMM snapshot for ${token.symbol}:`,
+        snapshotError.message
+      );
+    }
   } catch (error) {
     console.error(
       `Error fetching AMM info for ${token.symbol}:`,
@@ -317,33 +419,37 @@ async function processToken(token, collection) {
   }
 }
 
-// Add this function to assess pool health
-function assessPoolHealth(imbalancePercentage) {
-  if (imbalancePercentage <= 1) {
-    return { status: "Excellent", message: "Pool is well-balanced" };
-  } else if (imbalancePercentage <= 3) {
-    return { status: "Good", message: "Pool is slightly imbalanced" };
-  } else if (imbalancePercentage <= 5) {
-    return { status: "Fair", message: "Pool imbalance is noticeable" };
-  } else if (imbalancePercentage <= 10) {
-    return { status: "Poor", message: "Pool is significantly imbalanced" };
-  } else {
-    return { status: "Critical", message: "Pool is severely imbalanced" };
-  }
-}
-
 // Export the function
 module.exports = {
   updateAMMInfo,
+  processTokens,
+  getConnectionPool,
+  getFullHistoryPool,
 };
 
+// Subscription mode: one full pass, then only pools touched by validated transactions
+async function runStreamMode() {
+  await updateAMMInfo();
+
+  const { db } = await connectToDatabase();
+  await startAMMStream({
+    pool: getConnectionPool(),
+    collection: db.collection(COLLECTION_NAME),
+    processTokens,
+    resync: updateAMMInfo,
+  });
+}
+
 // Main function to include more detailed logging and prevent overlapping runs
 let isUpdating = false;
 
 async function main() {
   try {
-    // Ensure fetch is available before starting the update loop
-    await fetch;
+    if (AMM_UPDATE_MODE === "stream") {
+      console.log("Starting ledger-driven AMM updates...");
+      await runStreamMode();
+      return;
+    }
 
     console.log("Starting continuous AMM updates...");
 
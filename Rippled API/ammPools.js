@@ -0,0 +1,216 @@
+// AMM pool discovery and XRP price routing
+// Finds every AMM pool a coin participates in and values each one in XRP
+
+const BigNumber = require("bignumber.js");
+const { currencyCodesEqual } = require("../lib/currencyCode");
+
+// RippleState flag set on trustlines owned by an AMM account
+const LSF_AMM_NODE = 0x01000000;
+
+const POOL_DISCOVERY_INTERVAL_MS =
+  parseInt(process.env.AMM_POOL_DISCOVERY_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const ROUTE_PRICE_TTL_MS = parseInt(process.env.AMM_ROUTE_PRICE_TTL_MS) || 30 * 1000;
+
+// Cache of counter asset prices in XRP, shared by all workers in a pass
+const routePriceCache = new Map();
+
+// Function to normalize an XRPL amount: drops strings are XRP, objects are IOUs
+function parseAmount(amount) {
+  if (typeof amount === "string") {
+    return {
+      currency: "XRP",
+      issuer: null,
+      value: new BigNumber(amount).dividedBy(1e6),
+    };
+  }
+  return {
+    currency: amount.currency,
+    issuer: amount.issuer,
+    value: new BigNumber(amount.value),
+  };
+}
+
+// Function to build the asset object rippled expects from a parsed amount
+function toAsset(parsed) {
+  if (parsed.currency === "XRP") {
+    return { currency: "XRP" };
+  }
+  return { currency: parsed.currency, issuer: parsed.issuer };
+}
+
+// Function to label an asset, e.g. "XRP" or "USD.rIssuer"
+function describeAsset(asset) {
+  return asset.currency === "XRP" ? "XRP" : `${asset.currency}.${asset.issuer}`;
+}
+
+function isTokenAmount(parsed, token) {
+  return parsed.issuer === token.issuer && currencyCodesEqual(parsed.currency, token.currencyCode);
+}
+
+// Function to check whether the stored pool list is due for another discovery scan
+function needsDiscovery(token) {
+  if (!token.ammPoolsDiscoveredAt) {
+    return true;
+  }
+  return Date.now() - new Date(token.ammPoolsDiscoveredAt).getTime() > POOL_DISCOVERY_INTERVAL_MS;
+}
+
+// Function to find every AMM account holding the coin by scanning the issuer's trustlines
+async function discoverPoolAccounts(pool, token) {
+  const ammAccounts = new Set();
+  let marker;
+
+  do {
+    const result = await pool.request({
+      command: "account_objects",
+      account: token.issuer,
+      type: "state",
+      ledger_index: "validated",
+      limit: 400,
+      marker,
+    });
+
+    for (const line of result.account_objects || []) {
+      if (!(line.Flags & LSF_AMM_NODE)) {
+        continue;
+      }
+      if (!currencyCodesEqual(line.Balance.currency, token.currencyCode)) {
+        continue;
+      }
+      const counterparty =
+        line.HighLimit.issuer === token.issuer
+          ? line.LowLimit.issuer
+          : line.HighLimit.issuer;
+      ammAccounts.add(counterparty);
+    }
+
+    marker = result.marker;
+  } while (marker);
+
+  // The XRP pool recorded on the coin is always tracked, even if the scan missed it
+  if (token.ammAddress) {
+    ammAccounts.add(token.ammAddress);
+  }
+
+  return [...ammAccounts];
+}
+
+// Function to price an asset in XRP through its XRP pool (the routing step)
+async function getAssetPriceInXRP(pool, asset) {
+  if (asset.currency === "XRP") {
+    return new BigNumber(1);
+  }
+
+  const key = describeAsset(asset);
+  const cached = routePriceCache.get(key);
+  if (cached && Date.now() - cached.timestamp < ROUTE_PRICE_TTL_MS) {
+    return cached.price;
+  }
+
+  let price = null;
+  try {
+    const result = await pool.request({
+      command: "amm_info",
+      asset: { currency: "XRP" },
+      asset2: asset,
+      ledger_index: "validated",
+    });
+    const xrpSide = parseAmount(result.amm.amount);
+    const assetSide = parseAmount(result.amm.amount2);
+    if (!assetSide.value.isZero()) {
+      price = xrpSide.value.dividedBy(assetSide.value);
+    }
+  } catch (error) {
+    // No XRP pool for this asset, so pools against it cannot be valued
+    console.warn(`No XRP route for ${key}:`, error.message);
+  }
+
+  routePriceCache.set(key, { price, timestamp: Date.now() });
+  return price;
+}
+
+// Function to fetch one pool by its AMM account and value both sides in XRP
+async function fetchPoolStats(pool, token, ammAccount) {
+  const ammInfoResult = await pool.request({
+    command: "amm_info",
+    amm_account: ammAccount,
+    ledger_index: "validated",
+  });
+  const ammInfo = ammInfoResult.amm;
+
+  const side1 = parseAmount(ammInfo.amount);
+  const side2 = parseAmount(ammInfo.amount2);
+  let tokenSide;
+  let counterSide;
+  if (isTokenAmount(side1, token)) {
+    tokenSide = side1;
+    counterSide = side2;
+  } else if (isTokenAmount(side2, token)) {
+    tokenSide = side2;
+    counterSide = side1;
+  } else {
+    throw new Error(`AMM ${ammAccount} does not hold ${token.symbol}`);
+  }
+
+  const counterAsset = toAsset(counterSide);
+  const counterPriceXRP = await getAssetPriceInXRP(pool, counterAsset);
+
+  // Spot price in the counter asset, then routed to XRP
+  const spotPrice = counterSide.value.dividedBy(tokenSide.value);
+  const spotPriceXRP = counterPriceXRP
+    ? spotPrice.multipliedBy(counterPriceXRP)
+    : null;
+  const counterValueXRP = counterPriceXRP
+    ? counterSide.value.multipliedBy(counterPriceXRP)
+    : null;
+  const liquidityXRP = counterPriceXRP
+    ? counterValueXRP.plus(tokenSide.value.multipliedBy(spotPriceXRP))
+    : null;
+
+  return {
+    ammAccount,
+    ammInfo,
+    ammInfoResult,
+    isXRPPool: counterAsset.currency === "XRP",
+    counterAsset,
+    tokenReserve: tokenSide.value,
+    counterReserve: counterSide.value,
+    counterValueXRP,
+    counterPriceXRP,
+    spotPrice,
+    spotPriceXRP,
+    liquidityXRP,
+  };
+}
+
+// Function to shape pool stats for storage on the coin document
+function toStoredPool(stats) {
+  const fixed = (value, decimals) =>
+    value === null ? null : decimals === undefined ? value.toFixed() : value.toFixed(decimals);
+
+  return {
+    ammAccount: stats.ammAccount,
+    pair: describeAsset(stats.counterAsset),
+    counterAsset: stats.counterAsset,
+    tokenReserve: fixed(stats.tokenReserve, 6),
+    counterReserve: fixed(stats.counterReserve, 6),
+    spotPrice: fixed(stats.spotPrice),
+    counterPriceXRP: fixed(stats.counterPriceXRP),
+    spotPriceXRP: fixed(stats.spotPriceXRP),
+    liquidityXRP: fixed(stats.liquidityXRP, 6),
+    tradingFee: stats.ammInfo.trading_fee,
+    lpToken: stats.ammInfo.lp_token,
+    lastUpdated: new Date(),
+  };
+}
+
+module.exports = {
+  POOL_DISCOVERY_INTERVAL_MS,
+  parseAmount,
+  describeAsset,
+  needsDiscovery,
+  discoverPoolAccounts,
+  getAssetPriceInXRP,
+  fetchPoolStats,
+  toStoredPool,
+};
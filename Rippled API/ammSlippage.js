@@ -0,0 +1,127 @@
+// Slippage and price-impact calculator for XRP/token AMM pools
+// Constant-product math with the XLS-30 trading fee: the fee is taken from the input
+// and stays in the pool, so reserves grow by the full input amount.
+
+const BigNumber = require("bignumber.js");
+
+// Price moves (in percent) covered by the precomputed depth table
+const DEPTH_LEVELS = (process.env.AMM_DEPTH_LEVELS || "1,2,5")
+  .split(",")
+  .map((level) => parseFloat(level))
+  .filter((level) => level > 0 && level < 100);
+
+// trading_fee is expressed in units of 1/100,000 (1000 = 1%)
+const TRADING_FEE_DENOMINATOR = 100000;
+
+function feeMultiplier(tradingFee) {
+  return new BigNumber(1).minus(
+    new BigNumber(tradingFee || 0).dividedBy(TRADING_FEE_DENOMINATOR)
+  );
+}
+
+// Function to compute the output of a swap against reserves (reserveIn, reserveOut)
+function getAmountOut(reserveIn, reserveOut, amountIn, tradingFee) {
+  const effectiveIn = new BigNumber(amountIn).multipliedBy(feeMultiplier(tradingFee));
+  return new BigNumber(reserveOut)
+    .multipliedBy(effectiveIn)
+    .dividedBy(new BigNumber(reserveIn).plus(effectiveIn));
+}
+
+// Function to find the input that moves the pool price by `ratio` (e.g. 0.01 for 1%).
+// Solves g*dx^2 + R*(1+g)*dx - ratio*R^2 = 0 for dx, where g is the fee multiplier.
+function getInputToMovePrice(reserveIn, ratio, tradingFee) {
+  const g = feeMultiplier(tradingFee);
+  const r = new BigNumber(reserveIn);
+  const b = r.multipliedBy(g.plus(1));
+  const discriminant = b
+    .multipliedBy(b)
+    .plus(g.multipliedBy(4).multipliedBy(ratio).multipliedBy(r).multipliedBy(r));
+  return discriminant.sqrt().minus(b).dividedBy(g.multipliedBy(2));
+}
+
+// Function to quote buying tokens with `xrpIn` XRP.
+// `pool` is { xrpReserve, tokenReserve, tradingFee }; prices are XRP per token.
+function quoteBuy(pool, xrpIn) {
+  const amountIn = new BigNumber(xrpIn);
+  const spotPrice = new BigNumber(pool.xrpReserve).dividedBy(pool.tokenReserve);
+  const tokensOut = getAmountOut(pool.xrpReserve, pool.tokenReserve, amountIn, pool.tradingFee);
+  const effectivePrice = amountIn.dividedBy(tokensOut);
+  const priceAfter = new BigNumber(pool.xrpReserve)
+    .plus(amountIn)
+    .dividedBy(new BigNumber(pool.tokenReserve).minus(tokensOut));
+
+  return {
+    side: "buy",
+    amountIn,
+    amountOut: tokensOut,
+    spotPrice,
+    effectivePrice,
+    priceAfter,
+    priceImpact: effectivePrice.dividedBy(spotPrice).minus(1).multipliedBy(100),
+  };
+}
+
+// Function to quote selling `tokensIn` tokens for XRP
+function quoteSell(pool, tokensIn) {
+  const amountIn = new BigNumber(tokensIn);
+  const spotPrice = new BigNumber(pool.xrpReserve).dividedBy(pool.tokenReserve);
+  const xrpOut = getAmountOut(pool.tokenReserve, pool.xrpReserve, amountIn, pool.tradingFee);
+  const effectivePrice = xrpOut.dividedBy(amountIn);
+  const priceAfter = new BigNumber(pool.xrpReserve)
+    .minus(xrpOut)
+    .dividedBy(new BigNumber(pool.tokenReserve).plus(amountIn));
+
+  return {
+    side: "sell",
+    amountIn,
+    amountOut: xrpOut,
+    spotPrice,
+    effectivePrice,
+    priceAfter,
+    priceImpact: new BigNumber(1).minus(effectivePrice.dividedBy(spotPrice)).multipliedBy(100),
+  };
+}
+
+// Function to precompute how much it takes to move the price up (buy) or down (sell)
+// by each level, e.g. the XRP needed to push the price 1%, 2% and 5%
+function buildDepthTable(pool, levels = DEPTH_LEVELS) {
+  const buy = levels.map((level) => {
+    const xrpIn = getInputToMovePrice(pool.xrpReserve, level / 100, pool.tradingFee);
+    const quote = quoteBuy(pool, xrpIn);
+    return {
+      pricePercent: level,
+      xrpIn: xrpIn.toFixed(6),
+      tokensOut: quote.amountOut.toFixed(6),
+      effectivePrice: quote.effectivePrice.toFixed(),
+    };
+  });
+
+  const sell = levels.map((level) => {
+    // A price drop of p% means the reserve ratio must grow by 1/(1-p) - 1
+    const ratio = 1 / (1 - level / 100) - 1;
+    const tokensIn = getInputToMovePrice(pool.tokenReserve, ratio, pool.tradingFee);
+    const quote = quoteSell(pool, tokensIn);
+    return {
+      pricePercent: level,
+      tokensIn: tokensIn.toFixed(6),
+      xrpOut: quote.amountOut.toFixed(6),
+      effectivePrice: quote.effectivePrice.toFixed(),
+    };
+  });
+
+  return {
+    tradingFee: pool.tradingFee || 0,
+    buy,
+    sell,
+    updatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  DEPTH_LEVELS,
+  getAmountOut,
+  getInputToMovePrice,
+  quoteBuy,
+  quoteSell,
+  buildDepthTable,
+};
@@ -0,0 +1,205 @@
+// Historical AMM pool snapshots
+// Every pool update is appended to a MongoDB time-series collection keyed by coin and ledger index
+
+const SNAPSHOT_COLLECTION_NAME =
+  process.env.AMM_SNAPSHOT_COLLECTION_NAME || "amm_snapshots";
+const SNAPSHOT_RETENTION_DAYS =
+  parseInt(process.env.AMM_SNAPSHOT_RETENTION_DAYS) || 365;
+
+// Buckets accepted by getPoolHistory, passed straight to $dateTrunc
+const HISTORY_BUCKETS = ["minute", "hour", "day", "week", "month"];
+
+// Cached setup promise so the collection is only checked once per process
+let snapshotCollectionReady = null;
+
+// Function to create the time-series collection and keep its retention in sync with the config
+function ensureSnapshotCollection(db) {
+  if (snapshotCollectionReady) {
+    return snapshotCollectionReady;
+  }
+
+  snapshotCollectionReady = (async () => {
+    const expireAfterSeconds = SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60;
+    const existing = await db
+      .listCollections({ name: SNAPSHOT_COLLECTION_NAME })
+      .toArray();
+
+    if (existing.length === 0) {
+      await db.createCollection(SNAPSHOT_COLLECTION_NAME, {
+        timeseries: {
+          timeField: "timestamp",
+          metaField: "coinId",
+          granularity: "minutes",
+        },
+        expireAfterSeconds,
+      });
+      console.log(
+        `Created ${SNAPSHOT_COLLECTION_NAME} with ${SNAPSHOT_RETENTION_DAYS} day retention`
+      );
+    } else if (existing[0].options.expireAfterSeconds !== expireAfterSeconds) {
+      await db.command({
+        collMod: SNAPSHOT_COLLECTION_NAME,
+        expireAfterSeconds,
+      });
+      console.log(
+        `Updated ${SNAPSHOT_COLLECTION_NAME} retention to ${SNAPSHOT_RETENTION_DAYS} days`
+      );
+    }
+
+    const collection = db.collection(SNAPSHOT_COLLECTION_NAME);
+    await collection.createIndex({ coinId: 1, ledgerIndex: 1 });
+    await collection.createIndex({ coinId: 1, timestamp: 1 });
+    return collection;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  snapshotCollectionReady.catch(() => {
+    snapshotCollectionReady = null;
+  });
+  return snapshotCollectionReady;
+}
+
+// Function to append one pool snapshot; numeric fields are stored as doubles for charting
+async function recordSnapshot(db, token, snapshot) {
+  const collection = await ensureSnapshotCollection(db);
+  const toNumber = (value) =>
+    value === undefined || value === null ? null : Number(value);
+
+  await collection.insertOne({
+    coinId: token._id,
+    timestamp: snapshot.timestamp || new Date(),
+    ledgerIndex: snapshot.ledgerIndex || null,
+    symbol: token.symbol,
+    spotPrice: toNumber(snapshot.spotPrice),
+    marketCap: toNumber(snapshot.marketCap),
+    totalLiquidity: toNumber(snapshot.totalLiquidity),
+    xrpReserve: toNumber(snapshot.xrpReserve),
+    tokenReserve: toNumber(snapshot.tokenReserve),
+    lpTokenSupply: toNumber(snapshot.lpTokenSupply),
+    tradingFee: toNumber(snapshot.tradingFee),
+    healthStatus: snapshot.healthStatus || null,
+  });
+}
+
+// Function to return the latest snapshot taken at or before a time, or null
+async function getSnapshotAt(db, coinId, timestamp) {
+  const collection = await ensureSnapshotCollection(db);
+  return collection.findOne(
+    { coinId, timestamp: { $lte: new Date(timestamp) } },
+    { sort: { timestamp: -1 }, projection: { _id: 0 } }
+  );
+}
+
+// Function to return liquidity, price and health for a coin over a time range.
+// With a bucket ("minute", "hour", "day", ...) the series is downsampled to the last value
+// per bucket plus the liquidity range inside it.
+async function getPoolHistory(db, coinId, { from, to = new Date(), bucket } = {}) {
+  const collection = await ensureSnapshotCollection(db);
+  const match = { coinId, timestamp: { $lte: new Date(to) } };
+  if (from) {
+    match.timestamp.$gte = new Date(from);
+  }
+
+  if (!bucket) {
+    return collection
+      .find(match, {
+        projection: {
+          _id: 0,
+          timestamp: 1,
+          ledgerIndex: 1,
+          spotPrice: 1,
+          marketCap: 1,
+          totalLiquidity: 1,
+          xrpReserve: 1,
+          lpTokenSupply: 1,
+          healthStatus: 1,
+        },
+      })
+      .sort({ timestamp: 1 })
+      .toArray();
+  }
+
+  if (!HISTORY_BUCKETS.includes(bucket)) {
+    throw new Error(
+      `Invalid bucket "${bucket}". Expected one of: ${HISTORY_BUCKETS.join(", ")}`
+    );
+  }
+
+  return collection
+    .aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: "$timestamp", unit: bucket } },
+          ledgerIndex: { $last: "$ledgerIndex" },
+          spotPrice: { $last: "$spotPrice" },
+          marketCap: { $last: "$marketCap" },
+          totalLiquidity: { $last: "$totalLiquidity" },
+          minLiquidity: { $min: "$totalLiquidity" },
+          maxLiquidity: { $max: "$totalLiquidity" },
+          xrpReserve: { $last: "$xrpReserve" },
+          lpTokenSupply: { $last: "$lpTokenSupply" },
+          healthStatus: { $last: "$healthStatus" },
+          snapshots: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $set: { timestamp: "$_id" } },
+      { $unset: "_id" },
+    ])
+    .toArray();
+}
+
+// Function to find every snapshot where the market cap rose through a threshold,
+// e.g. to audit when a token crossed the King of the Hill line.
+// The first snapshot in the range counts if it is already above the threshold.
+async function findThresholdCrossings(db, coinId, threshold, { from, to = new Date() } = {}) {
+  const collection = await ensureSnapshotCollection(db);
+  const match = { coinId, timestamp: { $lte: new Date(to) } };
+  if (from) {
+    match.timestamp.$gte = new Date(from);
+  }
+
+  return collection
+    .aggregate([
+      { $match: match },
+      {
+        $setWindowFields: {
+          partitionBy: "$coinId",
+          sortBy: { timestamp: 1 },
+          output: {
+            previousMarketCap: { $shift: { output: "$marketCap", by: -1 } },
+          },
+        },
+      },
+      {
+        $match: {
+          marketCap: { $gte: threshold },
+          $or: [
+            { previousMarketCap: { $lt: threshold } },
+            { previousMarketCap: null },
+          ],
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          timestamp: 1,
+          ledgerIndex: 1,
+          marketCap: 1,
+          previousMarketCap: 1,
+          spotPrice: 1,
+        },
+      },
+    ])
+    .toArray();
+}
+
+module.exports = {
+  ensureSnapshotCollection,
+  recordSnapshot,
+  getSnapshotAt,
+  getPoolHistory,
+  findThresholdCrossings,
+};
@@ -0,0 +1,188 @@
+// Real-time AMM updates driven by ledger and account subscriptions
+// Only pools touched by a validated transaction are re-queried after each ledger close
+
+const COIN_REFRESH_INTERVAL_MS =
+  parseInt(process.env.AMM_STREAM_COIN_REFRESH_MS) || 5 * 60 * 1000;
+
+// Function to load the AMM-backed coins, keyed by AMM account address.
+// A coin appears once per pool it participates in (XRP pool and discovered pools).
+async function loadAMMCoins(collection) {
+  const tokens = await collection
+    .find(
+      {
+        $or: [
+          { ammAddress: { $exists: true, $ne: "" } },
+          { "ammPoolAccounts.0": { $exists: true } },
+        ],
+      },
+      { projection: { _id: 1, symbol: 1, ammAddress: 1, ammPoolAccounts: 1 } }
+    )
+    .toArray();
+
+  const coinsByAMM = new Map();
+  for (const token of tokens) {
+    const accounts = new Set(token.ammPoolAccounts || []);
+    if (token.ammAddress) {
+      accounts.add(token.ammAddress);
+    }
+    for (const account of accounts) {
+      coinsByAMM.set(account, token);
+    }
+  }
+  return coinsByAMM;
+}
+
+// Function to collect every account whose ledger entries a transaction modified
+function getAffectedAccounts(meta) {
+  const accounts = new Set();
+  if (!meta || !Array.isArray(meta.AffectedNodes)) {
+    return accounts;
+  }
+
+  for (const affected of meta.AffectedNodes) {
+    const node =
+      affected.ModifiedNode || affected.CreatedNode || affected.DeletedNode;
+    if (!node) {
+      continue;
+    }
+    const fields = node.FinalFields || node.NewFields || {};
+
+    if (node.LedgerEntryType === "AMM" || node.LedgerEntryType === "AccountRoot") {
+      if (fields.Account) {
+        accounts.add(fields.Account);
+      }
+    } else if (node.LedgerEntryType === "RippleState") {
+      if (fields.HighLimit) {
+        accounts.add(fields.HighLimit.issuer);
+      }
+      if (fields.LowLimit) {
+        accounts.add(fields.LowLimit.issuer);
+      }
+    }
+  }
+  return accounts;
+}
+
+// Function to start the subscription-driven update loop.
+// `processTokens` re-queries a list of coins, `resync` runs a full pass after a gap in the stream.
+async function startAMMStream({ pool, collection, processTokens, resync }) {
+  let coinsByAMM = await loadAMMCoins(collection);
+  const dirty = new Set();
+  let flushing = false;
+  let pendingLedger = null;
+  let subscribedOnce = false;
+
+  // Function to re-query every pool touched since the last flush
+  async function flush(ledgerIndex) {
+    if (flushing) {
+      // Picked up again once the running flush finishes
+      pendingLedger = ledgerIndex;
+      return;
+    }
+    if (dirty.size === 0) {
+      return;
+    }
+
+    flushing = true;
+    const addresses = [...dirty];
+    dirty.clear();
+
+    try {
+      // A coin with several touched pools is only processed once
+      const ids = [
+        ...new Set(
+          addresses
+            .map((address) => coinsByAMM.get(address))
+            .filter(Boolean)
+            .map((token) => token._id)
+        ),
+      ];
+
+      // Re-read the coins so processToken sees the current King of the Hill state
+      const tokens = await collection.find({ _id: { $in: ids } }).toArray();
+      console.log(
+        `Ledger ${ledgerIndex}: updating ${tokens.length} touched AMM pools`
+      );
+      await processTokens(tokens, collection, { ledgerIndex });
+    } catch (error) {
+      console.error(`Error updating pools for ledger ${ledgerIndex}:`, error);
+    } finally {
+      flushing = false;
+      if (pendingLedger !== null) {
+        const next = pendingLedger;
+        pendingLedger = null;
+        flush(next);
+      }
+    }
+  }
+
+  pool.on("message", (message) => {
+    if (message.type === "transaction") {
+      if (!message.validated) {
+        return;
+      }
+      for (const account of getAffectedAccounts(message.meta)) {
+        if (coinsByAMM.has(account)) {
+          dirty.add(account);
+        }
+      }
+    } else if (message.type === "ledgerClosed") {
+      flush(message.ledger_index);
+    }
+  });
+
+  // Ledgers may have been missed while the stream was moving to another node
+  pool.on("subscribed", (url) => {
+    if (!subscribedOnce) {
+      subscribedOnce = true;
+      return;
+    }
+    console.log(`Stream moved to ${url}, running a full resync`);
+    resync().catch((error) => {
+      console.error("Error during AMM resync:", error);
+    });
+  });
+
+  await pool.subscribe({
+    streams: ["ledger"],
+    accounts: [...coinsByAMM.keys()],
+  });
+  console.log(`Subscribed to ledger stream and ${coinsByAMM.size} AMM accounts`);
+
+  // Periodically pick up coins that were added or removed
+  const refreshTimer = setInterval(async () => {
+    try {
+      const latest = await loadAMMCoins(collection);
+      const added = [...latest.keys()].filter((address) => !coinsByAMM.has(address));
+      const removed = [...coinsByAMM.keys()].filter((address) => !latest.has(address));
+      coinsByAMM = latest;
+
+      if (added.length > 0) {
+        await pool.subscribe({ accounts: added });
+        // Bring the new pools up to date without waiting for their next trade
+        const ids = [...new Set(added.map((address) => latest.get(address)._id))];
+        const tokens = await collection.find({ _id: { $in: ids } }).toArray();
+        await processTokens(tokens, collection);
+      }
+      if (removed.length > 0) {
+        await pool.unsubscribe({ accounts: removed });
+      }
+      if (added.length > 0 || removed.length > 0) {
+        console.log(
+          `AMM subscriptions updated: ${added.length} added, ${removed.length} removed`
+        );
+      }
+    } catch (error) {
+      console.error("Error refreshing AMM subscriptions:", error);
+    }
+  }, COIN_REFRESH_INTERVAL_MS);
+
+  return {
+    stop: () => clearInterval(refreshTimer),
+  };
+}
+
+module.exports = {
+  startAMMStream,
+  getAffectedAccounts,
+};
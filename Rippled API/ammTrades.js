@@ -0,0 +1,337 @@
+// AMM trades with trader identity
+// Reads each coin's XRP AMM account history (account_tx) and keeps the swaps in amm_trades,
+// plus the first and last time each trader was seen in amm_traders. Market data only has
+// per-candle unique counts, so new versus returning traders come from here.
+
+const BigNumber = require("bignumber.js");
+const { currencyCodesEqual } = require("../lib/currencyCode");
+
+const AMM_TRADES_COLLECTION_NAME = process.env.AMM_TRADES_COLLECTION_NAME || "amm_trades";
+const AMM_TRADERS_COLLECTION_NAME = process.env.AMM_TRADERS_COLLECTION_NAME || "amm_traders";
+const AMM_TRADES_RETENTION_DAYS = parseInt(process.env.AMM_TRADES_RETENTION_DAYS) || 90;
+// How far back the first read of a pool goes; traders seen before that count as new
+const AMM_TRADES_BACKFILL_DAYS = parseInt(process.env.AMM_TRADES_BACKFILL_DAYS) || 30;
+// Pages of account_tx read per coin per run
+const AMM_TRADES_MAX_PAGES = parseInt(process.env.AMM_TRADES_MAX_PAGES) || 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RIPPLE_EPOCH_OFFSET = 946684800;
+const DROPS_PER_XRP = 1000000;
+
+// Liquidity provider and governance transactions move reserves without trading
+const NON_TRADE_TYPES = [
+  "AMMCreate",
+  "AMMDeposit",
+  "AMMWithdraw",
+  "AMMVote",
+  "AMMBid",
+  "AMMDelete",
+];
+
+// Cached setup promise so the indexes are only created once per process
+let tradeCollectionsReady = null;
+
+function ensureTradeCollections(db) {
+  if (tradeCollectionsReady) {
+    return tradeCollectionsReady;
+  }
+
+  tradeCollectionsReady = (async () => {
+    const trades = db.collection(AMM_TRADES_COLLECTION_NAME);
+    const traders = db.collection(AMM_TRADERS_COLLECTION_NAME);
+    await trades.createIndex({ coinId: 1, hash: 1 }, { unique: true });
+    await trades.createIndex({ coinId: 1, timestamp: 1 });
+    await trades.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await traders.createIndex({ coinId: 1, account: 1 }, { unique: true });
+    return { trades, traders };
+  })();
+
+  // Allow a retry on the next call if setup failed
+  tradeCollectionsReady.catch(() => {
+    tradeCollectionsReady = null;
+  });
+  return tradeCollectionsReady;
+}
+
+// Function to read an account_tx entry in either API version
+function readEntry(entry) {
+  const tx = entry.tx_json || entry.tx || {};
+  let timestamp = null;
+  if (entry.close_time_iso) {
+    timestamp = new Date(entry.close_time_iso);
+  } else if (tx.date !== undefined) {
+    timestamp = new Date((tx.date + RIPPLE_EPOCH_OFFSET) * 1000);
+  }
+  return {
+    tx,
+    meta: entry.meta || {},
+    hash: entry.hash || tx.hash,
+    ledgerIndex: entry.ledger_index || tx.ledger_index,
+    timestamp,
+  };
+}
+
+// Function to work out a swap from the AMM's balance changes.
+// The AMM's XRP going up means the trader paid XRP for tokens ("buy"), and vice versa.
+// Returns null for anything that is not a successful swap against this pool.
+function parseAMMTrade(entry, token, ammAccount) {
+  const { tx, meta, hash, ledgerIndex, timestamp } = readEntry(entry);
+  if (meta.TransactionResult !== "tesSUCCESS" || NON_TRADE_TYPES.includes(tx.TransactionType)) {
+    return null;
+  }
+
+  let xrpDelta = new BigNumber(0);
+  let tokenDelta = new BigNumber(0);
+  for (const affected of meta.AffectedNodes || []) {
+    const node = affected.ModifiedNode;
+    if (!node || !node.PreviousFields || !node.FinalFields) {
+      continue;
+    }
+    const fields = node.FinalFields;
+
+    if (node.LedgerEntryType === "AccountRoot" && fields.Account === ammAccount) {
+      if (node.PreviousFields.Balance !== undefined) {
+        xrpDelta = new BigNumber(fields.Balance)
+          .minus(node.PreviousFields.Balance)
+          .dividedBy(DROPS_PER_XRP);
+      }
+    } else if (node.LedgerEntryType === "RippleState" && node.PreviousFields.Balance) {
+      const low = fields.LowLimit.issuer;
+      const high = fields.HighLimit.issuer;
+      const isPoolLine =
+        ((low === ammAccount && high === token.issuer) ||
+          (high === ammAccount && low === token.issuer)) &&
+        currencyCodesEqual(fields.Balance.currency, token.currencyCode);
+      if (isPoolLine) {
+        // RippleState balances are from the low account's side
+        const change = new BigNumber(fields.Balance.value).minus(
+          node.PreviousFields.Balance.value
+        );
+        tokenDelta = low === ammAccount ? change : change.negated();
+      }
+    }
+  }
+
+  // A swap moves the two reserves in opposite directions
+  if (
+    xrpDelta.isZero() ||
+    tokenDelta.isZero() ||
+    xrpDelta.isPositive() === tokenDelta.isPositive()
+  ) {
+    return null;
+  }
+
+  const xrpAmount = xrpDelta.abs();
+  const tokenAmount = tokenDelta.abs();
+  return {
+    hash,
+    ledgerIndex,
+    timestamp,
+    account: tx.Account,
+    transactionType: tx.TransactionType,
+    side: xrpDelta.isPositive() ? "buy" : "sell",
+    xrpAmount: xrpAmount.toNumber(),
+    tokenAmount: tokenAmount.toNumber(),
+    price: xrpAmount.dividedBy(tokenAmount).toNumber(),
+  };
+}
+
+// Function to read the pool's swaps.
+// Without a checkpoint, reads backwards from the newest ledger until `since` (default
+// AMM_TRADES_BACKFILL_DAYS) or AMM_TRADES_MAX_PAGES; hitting the page limit only shortens
+// the backfill. With a checkpoint (`sinceLedger`), reads forwards from the next ledger, so a
+// page limit leaves the rest for the next call instead of skipping it.
+// Returns { trades, checkpoint, complete }: checkpoint is the last ledger whose swaps are all
+// in `trades`, and complete is false when more history is left to read.
+async function fetchAMMTrades(pool, token, ammAccount, { sinceLedger = null, since } = {}) {
+  const forward = Boolean(sinceLedger);
+  const cutoff = since || new Date(Date.now() - AMM_TRADES_BACKFILL_DAYS * DAY_MS);
+  const trades = [];
+  let checkpoint = sinceLedger;
+  let lastLedger = null;
+  let marker;
+  let pages = 0;
+
+  do {
+    const result = await pool.request({
+      command: "account_tx",
+      account: ammAccount,
+      ledger_index_min: forward ? sinceLedger + 1 : -1,
+      ledger_index_max: -1,
+      forward,
+      limit: 200,
+      marker,
+    });
+    pages++;
+    // The newest validated ledger the server searched; nothing newer can be missing
+    if (!forward && pages === 1) {
+      checkpoint = result.ledger_index_max || null;
+    }
+
+    let reachedCutoff = false;
+    for (const entry of result.transactions || []) {
+      const { ledgerIndex, timestamp } = readEntry(entry);
+      if (!forward) {
+        checkpoint = Math.max(checkpoint || 0, ledgerIndex || 0);
+        if (timestamp && timestamp < cutoff) {
+          reachedCutoff = true;
+          break;
+        }
+      }
+      lastLedger = ledgerIndex || lastLedger;
+      const trade = parseAMMTrade(entry, token, ammAccount);
+      if (trade) {
+        trades.push(trade);
+      }
+    }
+
+    marker = reachedCutoff ? undefined : result.marker;
+    if (forward && !marker) {
+      checkpoint = Math.max(result.ledger_index_max || 0, lastLedger || 0, sinceLedger);
+    }
+  } while (marker && pages < AMM_TRADES_MAX_PAGES);
+
+  const complete = !marker;
+  if (forward && !complete) {
+    // A marker can stop mid-ledger, so the last ledger read is read again next time;
+    // swaps already stored are skipped by hash
+    checkpoint = lastLedger ? Math.max(lastLedger - 1, sinceLedger) : sinceLedger;
+    console.log(
+      `${token.symbol}: read ${pages} pages of AMM history up to ledger ${checkpoint}; continuing on the next update`
+    );
+  } else if (!complete) {
+    console.warn(
+      `${token.symbol}: backfill stopped after ${pages} pages; swaps before that are not stored`
+    );
+  }
+  return { trades, checkpoint, complete };
+}
+
+// Function to store swaps and update first/last seen for their traders.
+// Trades already stored (same hash) are skipped so trader counts are not inflated.
+async function storeAMMTrades(db, token, ammAccount, trades) {
+  if (trades.length === 0) {
+    return 0;
+  }
+  const { trades: tradeCollection, traders } = await ensureTradeCollections(db);
+
+  const result = await tradeCollection.bulkWrite(
+    trades.map((trade) => ({
+      updateOne: {
+        filter: { coinId: token._id, hash: trade.hash },
+        update: {
+          $setOnInsert: {
+            ...trade,
+            ammAccount,
+            expireAt: new Date(trade.timestamp.getTime() + AMM_TRADES_RETENTION_DAYS * DAY_MS),
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: true }
+  );
+
+  const inserted = Object.keys(result.upsertedIds || {}).map((index) => trades[index]);
+  if (inserted.length > 0) {
+    await traders.bulkWrite(
+      inserted.map((trade) => ({
+        updateOne: {
+          filter: { coinId: token._id, account: trade.account },
+          update: {
+            $min: { firstSeen: trade.timestamp },
+            $max: { lastSeen: trade.timestamp },
+            $inc: { trades: 1, [trade.side === "buy" ? "buys" : "sells"]: 1 },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  return inserted.length;
+}
+
+// Function to count a coin's AMM traders since `from`: everyone who swapped, split into
+// first-time traders (first seen inside the window) and returning ones
+async function getTraderCounts(db, coinId, from) {
+  const { trades, traders } = await ensureTradeCollections(db);
+  const window = { coinId, timestamp: { $gte: from } };
+
+  const [accounts, buyers, sellers] = await Promise.all([
+    trades.distinct("account", window),
+    trades.distinct("account", { ...window, side: "buy" }),
+    trades.distinct("account", { ...window, side: "sell" }),
+  ]);
+  const newTraders =
+    accounts.length > 0
+      ? await traders.countDocuments({
+          coinId,
+          account: { $in: accounts },
+          firstSeen: { $gte: from },
+        })
+      : 0;
+
+  return {
+    total: accounts.length,
+    new: newTraders,
+    returning: accounts.length - newTraders,
+    buyers: buyers.length,
+    sellers: sellers.length,
+  };
+}
+
+// Function to sum a coin's AMM swap volume (XRP side) in [from, to)
+async function getAMMVolume(db, coinId, from, to = new Date()) {
+  const { trades } = await ensureTradeCollections(db);
+  const [totals] = await trades
+    .aggregate([
+      { $match: { coinId, timestamp: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          volume: { $sum: "$xrpAmount" },
+          buyVolume: { $sum: { $cond: [{ $eq: ["$side", "buy"] }, "$xrpAmount", 0] } },
+          sellVolume: { $sum: { $cond: [{ $eq: ["$side", "sell"] }, "$xrpAmount", 0] } },
+          trades: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  if (!totals) {
+    return { volume: 0, buyVolume: 0, sellVolume: 0, trades: 0 };
+  }
+  const { _id, ...volumes } = totals;
+  return volumes;
+}
+
+// Function to read new swaps for one coin's XRP pool and move its checkpoint forward
+async function updateCoinTrades(db, pool, collection, token) {
+  const { trades, checkpoint } = await fetchAMMTrades(pool, token, token.ammAddress, {
+    sinceLedger: token.ammTradesLedgerIndex || null,
+  });
+  // The checkpoint only moves once every swap up to it is stored
+  const stored = await storeAMMTrades(db, token, token.ammAddress, trades);
+  if (checkpoint && checkpoint !== token.ammTradesLedgerIndex) {
+    await collection.updateOne(
+      { _id: token._id },
+      { $set: { ammTradesLedgerIndex: checkpoint } }
+    );
+    // Later reads in this process continue from the new checkpoint
+    token.ammTradesLedgerIndex = checkpoint;
+  }
+  return stored;
+}
+
+module.exports = {
+  AMM_TRADES_COLLECTION_NAME,
+  AMM_TRADERS_COLLECTION_NAME,
+  ensureTradeCollections,
+  readEntry,
+  parseAMMTrade,
+  fetchAMMTrades,
+  storeAMMTrades,
+  getTraderCounts,
+  getAMMVolume,
+  updateCoinTrades,
+};
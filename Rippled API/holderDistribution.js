@@ -0,0 +1,227 @@
+// Holder distribution and concentration metrics
+// Pages through the issuer's trustlines (account_lines) to collect every holder and balance,
+// then stores holder count, top-10/top-50 share, Gini coefficient and the AMM share on the coin
+// plus one snapshot per coin per day in holder_snapshots.
+
+const BigNumber = require("bignumber.js");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { currencyCodesEqual, isValidCurrencyCode } = require("../lib/currencyCode");
+const { getConnectionPool } = require("./RippledupdateMCAP");
+
+const HOLDER_SNAPSHOT_COLLECTION_NAME =
+  process.env.HOLDER_SNAPSHOT_COLLECTION_NAME || "holder_snapshots";
+const HOLDER_UPDATE_INTERVAL_MS =
+  parseInt(process.env.HOLDER_UPDATE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+// Number of largest holders kept on the coin document
+const TOP_HOLDERS_STORED = 10;
+
+// Cached setup promise so the index is only created once per process
+let snapshotCollectionReady = null;
+
+function ensureSnapshotCollection(db) {
+  if (snapshotCollectionReady) {
+    return snapshotCollectionReady;
+  }
+  snapshotCollectionReady = (async () => {
+    const collection = db.collection(HOLDER_SNAPSHOT_COLLECTION_NAME);
+    await collection.createIndex({ coinId: 1, date: 1 }, { unique: true });
+    return collection;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  snapshotCollectionReady.catch(() => {
+    snapshotCollectionReady = null;
+  });
+  return snapshotCollectionReady;
+}
+
+// Function to collect every trustline holding the coin.
+// Seen from the issuer, a holder's balance is negative, so it is flipped here.
+async function fetchHolders(pool, token) {
+  const holders = new Map();
+  let trustlines = 0;
+  let ledgerIndex = null;
+  let marker;
+
+  do {
+    const result = await pool.request({
+      command: "account_lines",
+      account: token.issuer,
+      ledger_index: ledgerIndex || "validated",
+      limit: 400,
+      marker,
+    });
+    // Page through one ledger so balances are consistent
+    ledgerIndex = result.ledger_index || ledgerIndex;
+
+    for (const line of result.lines || []) {
+      if (!currencyCodesEqual(line.currency, token.currencyCode)) {
+        continue;
+      }
+      trustlines++;
+      const balance = new BigNumber(line.balance).negated();
+      if (balance.isGreaterThan(0)) {
+        holders.set(line.account, (holders.get(line.account) || new BigNumber(0)).plus(balance));
+      }
+    }
+
+    marker = result.marker;
+  } while (marker);
+
+  return { holders, trustlines, ledgerIndex };
+}
+
+// Function to compute the Gini coefficient of balances sorted in ascending order
+function giniCoefficient(sortedAscending, total) {
+  const n = sortedAscending.length;
+  if (n === 0 || total.isZero()) {
+    return 0;
+  }
+  let weighted = new BigNumber(0);
+  sortedAscending.forEach((balance, index) => {
+    weighted = weighted.plus(balance.multipliedBy(index + 1));
+  });
+  return weighted
+    .multipliedBy(2)
+    .dividedBy(total.multipliedBy(n))
+    .minus((n + 1) / n)
+    .toNumber();
+}
+
+// Function to turn holder balances into concentration metrics (shares in percent)
+function computeDistribution(holders, ammAccounts = []) {
+  const entries = [...holders.entries()].sort((a, b) => b[1].comparedTo(a[1]));
+  const total = entries.reduce((sum, [, balance]) => sum.plus(balance), new BigNumber(0));
+  const share = (amount) =>
+    total.isZero() ? 0 : amount.dividedBy(total).multipliedBy(100).toNumber();
+  const topShare = (count) =>
+    share(entries.slice(0, count).reduce((sum, [, balance]) => sum.plus(balance), new BigNumber(0)));
+
+  const ammHeld = ammAccounts.reduce(
+    (sum, account) => sum.plus(holders.get(account) || 0),
+    new BigNumber(0)
+  );
+  const ascending = entries.map(([, balance]) => balance).reverse();
+
+  return {
+    count: entries.length,
+    totalHeld: total.toFixed(),
+    top10Share: topShare(10),
+    top50Share: topShare(50),
+    gini: giniCoefficient(ascending, total),
+    ammShare: share(ammHeld),
+    topHolders: entries.slice(0, TOP_HOLDERS_STORED).map(([account, balance]) => ({
+      account,
+      balance: balance.toFixed(),
+      share: share(balance),
+      isAMM: ammAccounts.includes(account),
+    })),
+  };
+}
+
+// Function to refresh one coin's distribution and record today's snapshot
+async function updateHolderDistribution(db, pool, token) {
+  const { holders, trustlines, ledgerIndex } = await fetchHolders(pool, token);
+  const ammAccounts = [...new Set([...(token.ammPoolAccounts || []), token.ammAddress].filter(Boolean))];
+  const distribution = {
+    ...computeDistribution(holders, ammAccounts),
+    trustlines,
+    ledgerIndex,
+    updatedAt: new Date(),
+  };
+
+  await db
+    .collection(COLLECTION_NAME)
+    .updateOne({ _id: token._id }, { $set: { holders: distribution } });
+
+  // One snapshot per UTC day; later runs on the same day replace it
+  const now = new Date();
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const snapshots = await ensureSnapshotCollection(db);
+  const { topHolders, ...metrics } = distribution;
+  await snapshots.updateOne(
+    { coinId: token._id, date },
+    {
+      $set: {
+        symbol: token.symbol,
+        ...metrics,
+        largestHolderShare: topHolders.length > 0 ? topHolders[0].share : 0,
+      },
+    },
+    { upsert: true }
+  );
+
+  return distribution;
+}
+
+// Function to read a coin's daily holder snapshots in date order
+async function getHolderHistory(db, coinId, { from, to } = {}) {
+  const snapshots = await ensureSnapshotCollection(db);
+  const query = { coinId };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = new Date(from);
+    if (to) query.date.$lte = new Date(to);
+  }
+  return snapshots.find(query, { projection: { _id: 0 } }).sort({ date: 1 }).toArray();
+}
+
+// Function to refresh the distribution of every coin
+async function updateAllHolderDistributions() {
+  const uniqueLabel = `Holder distribution update ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const tokens = await db
+      .collection(COLLECTION_NAME)
+      .find(
+        { issuer: { $exists: true }, currencyCode: { $exists: true } },
+        { projection: { symbol: 1, issuer: 1, currencyCode: 1, ammAddress: 1, ammPoolAccounts: 1 } }
+      )
+      .toArray();
+
+    const pool = getConnectionPool();
+    for (const token of tokens) {
+      if (!isValidCurrencyCode(token.currencyCode)) {
+        continue;
+      }
+      try {
+        const distribution = await updateHolderDistribution(db, pool, token);
+        console.log(
+          `${token.symbol}: ${distribution.count} holders, top 10 ${distribution.top10Share.toFixed(
+            2
+          )}%, Gini ${distribution.gini.toFixed(3)}, AMM ${distribution.ammShare.toFixed(2)}%`
+        );
+      } catch (error) {
+        console.error(`Error updating holders for ${token.symbol}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("Error during holder distribution update:", error);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  fetchHolders,
+  giniCoefficient,
+  computeDistribution,
+  updateHolderDistribution,
+  getHolderHistory,
+  updateAllHolderDistributions,
+};
+
+// Main function: refresh now, then on every interval
+async function main() {
+  console.log("Starting holder distribution updates...");
+  for (;;) {
+    await updateAllHolderDistributions();
+    await new Promise((resolve) => setTimeout(resolve, HOLDER_UPDATE_INTERVAL_MS));
+  }
+}
+
+// Run the main function if this file is being run directly
+if (require.main === module) {
+  main();
+}
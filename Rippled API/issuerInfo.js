@@ -0,0 +1,89 @@
+// Issuer account settings
+// Reads the flags and fields of an issuing account that matter to token holders
+
+// AccountRoot flags
+const ACCOUNT_FLAGS = {
+  requireAuth: 0x00040000, // lsfRequireAuth
+  disableMaster: 0x00100000, // lsfDisableMaster
+  noFreeze: 0x00200000, // lsfNoFreeze
+  globalFreeze: 0x00400000, // lsfGlobalFreeze
+  defaultRipple: 0x00800000, // lsfDefaultRipple
+  allowTrustLineClawback: 0x80000000, // lsfAllowTrustLineClawback
+};
+
+// Regular keys nobody holds the secret for
+const BLACKHOLE_ADDRESSES = [
+  "rrrrrrrrrrrrrrrrrrrrrhoLvTp", // ACCOUNT_ZERO
+  "rrrrrrrrrrrrrrrrrrrrBZbvji", // ACCOUNT_ONE
+  "rrrrrrrrrrrrrrrrrNAMEtxvNvQ",
+  "rrrrrrrrrrrrrrrrrrrn5RM1rHd", // NaN address
+];
+
+// TransferRate is stored in billionths: 1000000000 means no fee
+const TRANSFER_RATE_UNIT = 1000000000;
+
+const ADDRESS_PATTERN = /^r[1-9A-HJ-NP-Za-km-z]{24,34}$/;
+
+function isValidAddress(address) {
+  return typeof address === "string" && ADDRESS_PATTERN.test(address);
+}
+
+// Function to decode the hex Domain field
+function decodeDomain(hex) {
+  if (!hex) {
+    return null;
+  }
+  return Buffer.from(hex, "hex").toString("utf8");
+}
+
+// Function to fetch and interpret an issuer's account settings.
+// Blackholed means the master key is disabled and no one can sign: no regular key (or a
+// blackhole regular key) and no signer list.
+async function getIssuerInfo(pool, issuer) {
+  const result = await pool.request({
+    command: "account_info",
+    account: issuer,
+    ledger_index: "validated",
+    signer_lists: true,
+  });
+  const account = result.account_data;
+  const flags = account.Flags || 0;
+
+  // >>> 0 keeps the high bit (clawback) from turning the result negative
+  const has = (flag) => ((flags & flag) >>> 0) === flag;
+  // API v2 returns signer_lists next to account_data, v1 inside it
+  const signerLists = result.signer_lists || account.signer_lists || [];
+  const regularKey = account.RegularKey || null;
+  const transferRate = account.TransferRate || TRANSFER_RATE_UNIT;
+
+  const blackholed =
+    has(ACCOUNT_FLAGS.disableMaster) &&
+    (!regularKey || BLACKHOLE_ADDRESSES.includes(regularKey)) &&
+    signerLists.length === 0;
+
+  return {
+    blackholed,
+    defaultRipple: has(ACCOUNT_FLAGS.defaultRipple),
+    requireAuth: has(ACCOUNT_FLAGS.requireAuth),
+    noFreeze: has(ACCOUNT_FLAGS.noFreeze),
+    globalFreeze: has(ACCOUNT_FLAGS.globalFreeze),
+    clawbackEnabled: has(ACCOUNT_FLAGS.allowTrustLineClawback),
+    masterDisabled: has(ACCOUNT_FLAGS.disableMaster),
+    regularKey,
+    hasSignerList: signerLists.length > 0,
+    transferRate,
+    // Fee charged on transfers between holders, in percent
+    transferFeePercent: (transferRate - TRANSFER_RATE_UNIT) / (TRANSFER_RATE_UNIT / 100),
+    domain: decodeDomain(account.Domain),
+    flags,
+    ledgerIndex: result.ledger_index || null,
+    updatedAt: new Date(),
+  };
+}
+
+module.exports = {
+  ACCOUNT_FLAGS,
+  BLACKHOLE_ADDRESSES,
+  isValidAddress,
+  getIssuerInfo,
+};
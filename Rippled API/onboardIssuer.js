@@ -0,0 +1,194 @@
+// Token onboarding for new issuers
+// Discovers the currencies an issuer has issued (gateway_balances), fills totalSupply from the
+// obligations, finds each XRP AMM pool (amm_info) and records the issuer's account settings.
+//
+// Usage: node "Rippled API/onboardIssuer.js" <issuer> [currency ...] [--dry-run]
+
+const { connectToDatabase, closeDatabase, COLLECTION_NAME } = require("../lib/db");
+const {
+  encodeCurrencyCode,
+  decodeCurrencyCode,
+  getCurrencyCodeType,
+  isValidCurrencyCode,
+  currencyCodeVariants,
+} = require("../lib/currencyCode");
+const { getConnectionPool } = require("./RippledupdateMCAP");
+const { isValidAddress, getIssuerInfo } = require("./issuerInfo");
+
+// Function to build an error the HTTP layer reports as 400 Bad Request
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Function to build an error the HTTP layer reports as 404 Not Found
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+// Function to read the issuer's outstanding obligations, keyed by wire-format currency code
+async function getObligations(pool, issuer) {
+  const result = await pool.request({
+    command: "gateway_balances",
+    account: issuer,
+    ledger_index: "validated",
+    strict: true,
+  });
+  return result.obligations || {};
+}
+
+// Function to find the XRP AMM pool for a token; returns null when there is none
+async function findAMMAccount(pool, issuer, currencyCode) {
+  try {
+    const result = await pool.request({
+      command: "amm_info",
+      asset: { currency: "XRP" },
+      asset2: { currency: currencyCode, issuer },
+      ledger_index: "validated",
+    });
+    return result.amm.account;
+  } catch (error) {
+    if (error.data && error.data.error === "actNotFound") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Function to onboard every (or the requested) currency of an issuer.
+// Existing coins keep their editorial fields; ledger-derived fields are refreshed.
+// Returns one result per currency: { currencyCode, symbol, status, totalSupply, ammAddress }.
+async function onboardIssuer(issuer, { currencies = [], dryRun = false } = {}) {
+  if (!isValidAddress(issuer)) {
+    throw badRequest(`Invalid issuer address "${issuer}"`);
+  }
+  const invalid = currencies.filter((currency) => !isValidCurrencyCode(currency));
+  if (invalid.length > 0) {
+    throw badRequest(`Invalid currency code(s): ${invalid.join(", ")}`);
+  }
+
+  const pool = getConnectionPool();
+  let obligations;
+  let issuerInfo;
+  try {
+    [obligations, issuerInfo] = await Promise.all([
+      getObligations(pool, issuer),
+      getIssuerInfo(pool, issuer),
+    ]);
+  } catch (error) {
+    // A well-formed address that was never funded is the caller's mistake, not a server fault
+    if (error.data && error.data.error === "actNotFound") {
+      throw notFound(`Issuer ${issuer} is not an activated account`);
+    }
+    throw error;
+  }
+
+  const requested = currencies.map((currency) => encodeCurrencyCode(currency));
+  const discovered = Object.keys(obligations).filter(
+    (currencyCode) =>
+      isValidCurrencyCode(currencyCode) &&
+      getCurrencyCodeType(currencyCode) !== "lp" &&
+      (requested.length === 0 || requested.includes(currencyCode))
+  );
+
+  for (const currencyCode of requested) {
+    if (!discovered.includes(currencyCode)) {
+      console.warn(`${issuer} has no outstanding ${decodeCurrencyCode(currencyCode)}`);
+    }
+  }
+
+  const { db } = await connectToDatabase();
+  const collection = db.collection(COLLECTION_NAME);
+  const results = [];
+
+  for (const currencyCode of discovered) {
+    const symbol = decodeCurrencyCode(currencyCode);
+    const totalSupply = obligations[currencyCode];
+
+    if (!(parseFloat(totalSupply) > 0)) {
+      results.push({ currencyCode, symbol, status: "skipped", reason: "no supply" });
+      continue;
+    }
+
+    const ammAddress = await findAMMAccount(pool, issuer, currencyCode);
+    const filter = { issuer, currencyCode: { $in: currencyCodeVariants(currencyCode) } };
+    const existing = await collection.findOne(filter, { projection: { _id: 1 } });
+
+    const result = {
+      currencyCode,
+      symbol,
+      status: existing ? "updated" : "inserted",
+      totalSupply,
+      ammAddress,
+    };
+
+    if (!dryRun) {
+      const ledgerFields = {
+        totalSupply,
+        issuerInfo,
+        onboardedAt: new Date(),
+      };
+      // Never clear a pool address someone entered by hand
+      if (ammAddress) {
+        ledgerFields.ammAddress = ammAddress;
+      }
+
+      if (existing) {
+        await collection.updateOne({ _id: existing._id }, { $set: ledgerFields });
+      } else {
+        await collection.insertOne({
+          name: symbol,
+          symbol,
+          issuer,
+          currencyCode,
+          ammAddress: ammAddress || "",
+          date: new Date(),
+          upvotes: 0,
+          downvotes: 0,
+          ...ledgerFields,
+        });
+      }
+    }
+
+    console.log(
+      `${dryRun ? "[dry run] " : ""}${result.status} ${symbol} (${issuer}): supply ${totalSupply}, AMM ${
+        ammAddress || "none"
+      }`
+    );
+    results.push(result);
+  }
+
+  return { issuer, issuerInfo, dryRun, tokens: results };
+}
+
+module.exports = {
+  onboardIssuer,
+};
+
+// Run the onboarding if this file is being run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const [issuer, ...currencies] = args.filter((arg) => arg !== "--dry-run");
+
+  if (!issuer) {
+    console.error('Usage: node "Rippled API/onboardIssuer.js" <issuer> [currency ...] [--dry-run]');
+    process.exit(1);
+  }
+
+  onboardIssuer(issuer, { currencies, dryRun })
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+    })
+    .catch((error) => {
+      console.error("Error onboarding issuer:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      getConnectionPool().close();
+      await closeDatabase();
+    });
+}
@@ -0,0 +1,337 @@
+// Order book (DEX) prices and depth for coin/XRP pairs
+// Reads book_offers in both directions, summarizes best bid/ask, mid and depth within
+// percentage bands, and combines the book with the AMM pool into best execution quotes.
+
+const BigNumber = require("bignumber.js");
+const { encodeCurrencyCode } = require("../lib/currencyCode");
+const { getAmountOut, getInputToMovePrice } = require("./ammSlippage");
+
+// Price bands (in percent from the mid) the depth is measured in
+const ORDER_BOOK_BANDS = (process.env.ORDER_BOOK_BANDS || "1,2,5,10")
+  .split(",")
+  .map((band) => parseFloat(band))
+  .filter((band) => band > 0 && band < 100);
+// Trade sizes (in XRP) quoted for best execution
+const EXECUTION_SIZES_XRP = (process.env.EXECUTION_SIZES_XRP || "100,1000,10000")
+  .split(",")
+  .map((size) => parseFloat(size))
+  .filter((size) => size > 0);
+// Offers read per side; deeper offers rarely fall inside the bands
+const ORDER_BOOK_OFFER_LIMIT = parseInt(process.env.ORDER_BOOK_OFFER_LIMIT) || 200;
+
+const DROPS_PER_XRP = 1000000;
+// trading_fee is expressed in units of 1/100,000 (1000 = 1%)
+const TRADING_FEE_DENOMINATOR = 100000;
+
+// Function to read an amount: strings are XRP drops, objects are issued amounts
+function amountValue(amount) {
+  if (typeof amount === "string") {
+    return new BigNumber(amount).dividedBy(DROPS_PER_XRP);
+  }
+  return new BigNumber(amount.value);
+}
+
+// Function to turn raw offers into { account, price, tokenAmount, xrpAmount } levels.
+// Funded amounts are used when the owner cannot cover the full offer.
+function normalizeOffers(offers, side) {
+  const levels = [];
+  for (const offer of offers) {
+    const gets = amountValue(offer.taker_gets_funded || offer.TakerGets);
+    const pays = amountValue(offer.taker_pays_funded || offer.TakerPays);
+    // Asks sell the token for XRP, bids sell XRP for the token
+    const tokenAmount = side === "ask" ? gets : pays;
+    const xrpAmount = side === "ask" ? pays : gets;
+    if (!tokenAmount.isGreaterThan(0) || !xrpAmount.isGreaterThan(0)) {
+      continue;
+    }
+    levels.push({
+      account: offer.Account,
+      price: xrpAmount.dividedBy(tokenAmount),
+      tokenAmount,
+      xrpAmount,
+    });
+  }
+  // Best price first: lowest ask, highest bid
+  return levels.sort((a, b) =>
+    side === "ask" ? a.price.comparedTo(b.price) : b.price.comparedTo(a.price)
+  );
+}
+
+// Function to fetch both sides of the coin/XRP book
+async function fetchOrderBook(pool, token, { limit = ORDER_BOOK_OFFER_LIMIT } = {}) {
+  const tokenAsset = { currency: encodeCurrencyCode(token.currencyCode), issuer: token.issuer };
+  const [asks, bids] = await Promise.all([
+    pool.request({
+      command: "book_offers",
+      taker_gets: tokenAsset,
+      taker_pays: { currency: "XRP" },
+      ledger_index: "validated",
+      limit,
+    }),
+    pool.request({
+      command: "book_offers",
+      taker_gets: { currency: "XRP" },
+      taker_pays: tokenAsset,
+      ledger_index: "validated",
+      limit,
+    }),
+  ]);
+
+  return {
+    asks: normalizeOffers(asks.offers || [], "ask"),
+    bids: normalizeOffers(bids.offers || [], "bid"),
+    ledgerIndex: asks.ledger_index || bids.ledger_index || null,
+  };
+}
+
+// Function to summarize a book: best prices, mid, spread and depth per band around the mid.
+// With one side empty the depth is measured from that side's best price.
+function summarizeOrderBook(book, bands = ORDER_BOOK_BANDS) {
+  const bestAsk = book.asks.length > 0 ? book.asks[0].price : null;
+  const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
+  const mid = bestAsk && bestBid ? bestAsk.plus(bestBid).dividedBy(2) : null;
+  const reference = mid || bestAsk || bestBid;
+
+  const depth = bands.map((band) => {
+    const sumWithin = (levels, inBand) =>
+      levels.filter(inBand).reduce(
+        (sum, level) => ({
+          xrp: sum.xrp.plus(level.xrpAmount),
+          tokens: sum.tokens.plus(level.tokenAmount),
+        }),
+        { xrp: new BigNumber(0), tokens: new BigNumber(0) }
+      );
+    const askLimit = reference ? reference.multipliedBy(1 + band / 100) : null;
+    const bidLimit = reference ? reference.multipliedBy(1 - band / 100) : null;
+    const ask = sumWithin(book.asks, (level) => level.price.isLessThanOrEqualTo(askLimit));
+    const bid = sumWithin(book.bids, (level) => level.price.isGreaterThanOrEqualTo(bidLimit));
+
+    return {
+      bandPercent: band,
+      askXRP: ask.xrp.toFixed(6),
+      askTokens: ask.tokens.toFixed(6),
+      bidXRP: bid.xrp.toFixed(6),
+      bidTokens: bid.tokens.toFixed(6),
+    };
+  });
+
+  return {
+    bestBid: bestBid ? bestBid.toFixed() : null,
+    bestAsk: bestAsk ? bestAsk.toFixed() : null,
+    mid: mid ? mid.toFixed() : null,
+    spreadPercent: mid
+      ? bestAsk.minus(bestBid).dividedBy(mid).multipliedBy(100).toFixed(4)
+      : null,
+    askOffers: book.asks.length,
+    bidOffers: book.bids.length,
+    depth,
+    ledgerIndex: book.ledgerIndex,
+    updatedAt: new Date(),
+  };
+}
+
+function feeMultiplier(tradingFee) {
+  return new BigNumber(1).minus(
+    new BigNumber(tradingFee || 0).dividedBy(TRADING_FEE_DENOMINATOR)
+  );
+}
+
+// Function to route a buy of `xrpIn` XRP across the AMM and the asks, cheapest first.
+// Before each offer the AMM is used until its marginal price (fee included) reaches the offer.
+// `amm` is { xrpReserve, tokenReserve, tradingFee } or null.
+function routeBuy(amm, asks, xrpIn) {
+  const g = amm ? feeMultiplier(amm.tradingFee) : null;
+  let x = amm ? new BigNumber(amm.xrpReserve) : null;
+  let y = amm ? new BigNumber(amm.tokenReserve) : null;
+  let remaining = new BigNumber(xrpIn);
+  let tokensOut = new BigNumber(0);
+  let ammXRP = new BigNumber(0);
+
+  const buyFromAMM = (amount) => {
+    const out = getAmountOut(x, y, amount, amm.tradingFee);
+    x = x.plus(amount);
+    y = y.minus(out);
+    tokensOut = tokensOut.plus(out);
+    ammXRP = ammXRP.plus(amount);
+    remaining = remaining.minus(amount);
+  };
+
+  for (const level of asks) {
+    if (remaining.isLessThanOrEqualTo(0)) break;
+    if (amm) {
+      // Pool price at which the AMM's marginal cost (price / g) equals the offer
+      const target = level.price.multipliedBy(g);
+      const spot = x.dividedBy(y);
+      if (spot.isLessThan(target)) {
+        const needed = getInputToMovePrice(x, target.dividedBy(spot).minus(1), amm.tradingFee);
+        buyFromAMM(BigNumber.min(remaining, needed));
+      }
+    }
+    if (remaining.isLessThanOrEqualTo(0)) break;
+    const take = BigNumber.min(remaining, level.xrpAmount);
+    tokensOut = tokensOut.plus(take.dividedBy(level.price));
+    remaining = remaining.minus(take);
+  }
+  if (amm && remaining.isGreaterThan(0)) {
+    buyFromAMM(remaining);
+  }
+
+  const filled = new BigNumber(xrpIn).minus(remaining);
+  return {
+    xrpIn: filled.toFixed(6),
+    tokensOut: tokensOut.toFixed(6),
+    effectivePrice: tokensOut.isGreaterThan(0) ? filled.dividedBy(tokensOut).toFixed() : null,
+    ammShare: filled.isGreaterThan(0)
+      ? ammXRP.dividedBy(filled).multipliedBy(100).toFixed(2)
+      : null,
+    unfilledXRP: remaining.toFixed(6),
+  };
+}
+
+// Function to route a sale of `tokensIn` tokens across the AMM and the bids, best price first
+function routeSell(amm, bids, tokensIn) {
+  const g = amm ? feeMultiplier(amm.tradingFee) : null;
+  let x = amm ? new BigNumber(amm.xrpReserve) : null;
+  let y = amm ? new BigNumber(amm.tokenReserve) : null;
+  let remaining = new BigNumber(tokensIn);
+  let xrpOut = new BigNumber(0);
+  let ammTokens = new BigNumber(0);
+
+  const sellToAMM = (amount) => {
+    const out = getAmountOut(y, x, amount, amm.tradingFee);
+    y = y.plus(amount);
+    x = x.minus(out);
+    xrpOut = xrpOut.plus(out);
+    ammTokens = ammTokens.plus(amount);
+    remaining = remaining.minus(amount);
+  };
+
+  for (const level of bids) {
+    if (remaining.isLessThanOrEqualTo(0)) break;
+    if (amm) {
+      // Pool price at which the AMM's marginal proceeds (price * g) equal the bid
+      const target = level.price.dividedBy(g);
+      const spot = x.dividedBy(y);
+      if (spot.isGreaterThan(target)) {
+        const needed = getInputToMovePrice(y, spot.dividedBy(target).minus(1), amm.tradingFee);
+        sellToAMM(BigNumber.min(remaining, needed));
+      }
+    }
+    if (remaining.isLessThanOrEqualTo(0)) break;
+    const take = BigNumber.min(remaining, level.tokenAmount);
+    xrpOut = xrpOut.plus(take.multipliedBy(level.price));
+    remaining = remaining.minus(take);
+  }
+  if (amm && remaining.isGreaterThan(0)) {
+    sellToAMM(remaining);
+  }
+
+  const filled = new BigNumber(tokensIn).minus(remaining);
+  return {
+    tokensIn: filled.toFixed(6),
+    xrpOut: xrpOut.toFixed(6),
+    effectivePrice: filled.isGreaterThan(0) ? xrpOut.dividedBy(filled).toFixed() : null,
+    ammShare: filled.isGreaterThan(0)
+      ? ammTokens.dividedBy(filled).multipliedBy(100).toFixed(2)
+      : null,
+    unfilledTokens: remaining.toFixed(6),
+  };
+}
+
+// Function to combine the book with the AMM pool (or null when the coin has no XRP pool).
+// Best bid/ask are the better of the book and the AMM's marginal price with its fee; depth per
+// band adds the AMM input that moves the pool to the band edge to the book depth inside it.
+function combineWithAMM(book, amm, { bands = ORDER_BOOK_BANDS, sizes = EXECUTION_SIZES_XRP } = {}) {
+  const summary = summarizeOrderBook(book, bands);
+  const g = amm ? feeMultiplier(amm.tradingFee) : null;
+  const ammSpot = amm ? new BigNumber(amm.xrpReserve).dividedBy(amm.tokenReserve) : null;
+
+  const askCandidates = [];
+  const bidCandidates = [];
+  if (summary.bestAsk) askCandidates.push(new BigNumber(summary.bestAsk));
+  if (summary.bestBid) bidCandidates.push(new BigNumber(summary.bestBid));
+  if (ammSpot) {
+    askCandidates.push(ammSpot.dividedBy(g));
+    bidCandidates.push(ammSpot.multipliedBy(g));
+  }
+  const bestAsk = askCandidates.length > 0 ? BigNumber.min(...askCandidates) : null;
+  const bestBid = bidCandidates.length > 0 ? BigNumber.max(...bidCandidates) : null;
+  const mid = bestAsk && bestBid ? bestAsk.plus(bestBid).dividedBy(2) : bestAsk || bestBid;
+
+  const depth = bands.map((band) => {
+    let ammBuyXRP = new BigNumber(0);
+    let ammSellXRP = new BigNumber(0);
+    let bookBuyXRP = new BigNumber(0);
+    let bookSellXRP = new BigNumber(0);
+
+    if (mid) {
+      const askLimit = mid.multipliedBy(1 + band / 100);
+      const bidLimit = mid.multipliedBy(1 - band / 100);
+      bookBuyXRP = book.asks
+        .filter((level) => level.price.isLessThanOrEqualTo(askLimit))
+        .reduce((sum, level) => sum.plus(level.xrpAmount), bookBuyXRP);
+      bookSellXRP = book.bids
+        .filter((level) => level.price.isGreaterThanOrEqualTo(bidLimit))
+        .reduce((sum, level) => sum.plus(level.xrpAmount), bookSellXRP);
+
+      if (amm && ammSpot.isLessThan(askLimit)) {
+        ammBuyXRP = getInputToMovePrice(
+          amm.xrpReserve,
+          askLimit.dividedBy(ammSpot).minus(1),
+          amm.tradingFee
+        );
+      }
+      if (amm && ammSpot.isGreaterThan(bidLimit)) {
+        const tokensIn = getInputToMovePrice(
+          amm.tokenReserve,
+          ammSpot.dividedBy(bidLimit).minus(1),
+          amm.tradingFee
+        );
+        ammSellXRP = getAmountOut(amm.tokenReserve, amm.xrpReserve, tokensIn, amm.tradingFee);
+      }
+    }
+
+    return {
+      bandPercent: band,
+      ammBuyXRP: ammBuyXRP.toFixed(6),
+      bookBuyXRP: bookBuyXRP.toFixed(6),
+      totalBuyXRP: ammBuyXRP.plus(bookBuyXRP).toFixed(6),
+      ammSellXRP: ammSellXRP.toFixed(6),
+      bookSellXRP: bookSellXRP.toFixed(6),
+      totalSellXRP: ammSellXRP.plus(bookSellXRP).toFixed(6),
+    };
+  });
+
+  // Sells are sized in tokens worth the same XRP at the mid
+  const execution = mid
+    ? {
+        buy: sizes.map((size) => routeBuy(amm, book.asks, size)),
+        sell: sizes.map((size) => routeSell(amm, book.bids, new BigNumber(size).dividedBy(mid))),
+      }
+    : { buy: [], sell: [] };
+
+  return {
+    orderBook: summary,
+    execution: {
+      bestBid: bestBid ? bestBid.toFixed() : null,
+      bestAsk: bestAsk ? bestAsk.toFixed() : null,
+      mid: mid ? mid.toFixed() : null,
+      ammSpotPrice: ammSpot ? ammSpot.toFixed() : null,
+      depth,
+      buy: execution.buy,
+      sell: execution.sell,
+      updatedAt: new Date(),
+    },
+  };
+}
+
+module.exports = {
+  ORDER_BOOK_BANDS,
+  EXECUTION_SIZES_XRP,
+  normalizeOffers,
+  fetchOrderBook,
+  summarizeOrderBook,
+  routeBuy,
+  routeSell,
+  combineWithAMM,
+};
@@ -0,0 +1,218 @@
+// AMM pool health
+// Rates a coin's primary pool on signals that actually move: XRP depth, reserve change and
+// LP token supply change over a window (withdrawals), the trading fee and how far the AMM
+// price sits from the order book. Status changes are appended to pool_health_events.
+//
+// Thresholds can be overridden per signal with POOL_HEALTH_THRESHOLDS, e.g.
+// POOL_HEALTH_THRESHOLDS='{"depthXRP":{"fair":20000}}'
+
+const BigNumber = require("bignumber.js");
+const { getSnapshotAt } = require("./ammSnapshots");
+
+const POOL_HEALTH_EVENTS_COLLECTION_NAME =
+  process.env.POOL_HEALTH_EVENTS_COLLECTION_NAME || "pool_health_events";
+// Reserve and LP supply changes are measured against the snapshot this long ago
+const POOL_HEALTH_WINDOW_MS =
+  parseInt(process.env.POOL_HEALTH_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+// Statuses from best to worst
+const HEALTH_STATUSES = ["Good", "Fair", "Poor", "Critical"];
+
+// "below" signals are bad when the value drops under a threshold, "above" when it exceeds one.
+// Changes are in percent and only drops count; the fee and deviation are in percent.
+const DEFAULT_THRESHOLDS = {
+  depthXRP: { direction: "below", fair: 10000, poor: 1000, critical: 100 },
+  reserveDropPercent: { direction: "above", fair: 10, poor: 25, critical: 50 },
+  lpSupplyDropPercent: { direction: "above", fair: 10, poor: 25, critical: 50 },
+  // The ledger caps the AMM trading fee at 1%
+  tradingFeePercent: { direction: "above", fair: 0.3, poor: 0.6, critical: 0.9 },
+  orderBookDeviationPercent: { direction: "above", fair: 2, poor: 5, critical: 10 },
+};
+
+// Messages for each signal once it is no longer "Good"
+const SIGNAL_MESSAGES = {
+  depthXRP: (value) => `Only ${value.toFixed(0)} XRP in the pool`,
+  reserveDropPercent: (value) => `XRP reserve fell ${value.toFixed(1)}% in the window`,
+  lpSupplyDropPercent: (value) => `LP token supply fell ${value.toFixed(1)}% (withdrawals)`,
+  tradingFeePercent: (value) => `Trading fee is ${value.toFixed(3)}%`,
+  orderBookDeviationPercent: (value) =>
+    `AMM price is ${value.toFixed(1)}% away from the order book`,
+};
+
+// Function to merge POOL_HEALTH_THRESHOLDS over the defaults.
+// A malformed override is logged once and the defaults are used instead.
+function loadThresholds() {
+  const thresholds = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+  if (!process.env.POOL_HEALTH_THRESHOLDS) {
+    return thresholds;
+  }
+  try {
+    const overrides = JSON.parse(process.env.POOL_HEALTH_THRESHOLDS);
+    for (const [signal, levels] of Object.entries(overrides)) {
+      if (!thresholds[signal]) {
+        throw new Error(`Unknown pool health signal "${signal}"`);
+      }
+      Object.assign(thresholds[signal], levels);
+      const { direction, fair, poor, critical } = thresholds[signal];
+      const validLevels = [fair, poor, critical].every(Number.isFinite);
+      if (!["below", "above"].includes(direction) || !validLevels) {
+        throw new Error(`Invalid thresholds for pool health signal "${signal}"`);
+      }
+    }
+    return thresholds;
+  } catch (error) {
+    console.error("Ignoring malformed POOL_HEALTH_THRESHOLDS, using the defaults:", error.message);
+    return JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+  }
+}
+
+const POOL_HEALTH_THRESHOLDS = loadThresholds();
+
+// Cached setup promise so the index is only created once per process
+let eventsCollectionReady = null;
+
+function ensureEventsCollection(db) {
+  if (eventsCollectionReady) {
+    return eventsCollectionReady;
+  }
+  eventsCollectionReady = (async () => {
+    const collection = db.collection(POOL_HEALTH_EVENTS_COLLECTION_NAME);
+    await collection.createIndex({ coinId: 1, timestamp: -1 });
+    return collection;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  eventsCollectionReady.catch(() => {
+    eventsCollectionReady = null;
+  });
+  return eventsCollectionReady;
+}
+
+// Function to rate one signal value against its thresholds
+function rateSignal(value, { direction, fair, poor, critical }) {
+  const worse = (limit) => (direction === "below" ? value < limit : value > limit);
+  if (worse(critical)) return "Critical";
+  if (worse(poor)) return "Poor";
+  if (worse(fair)) return "Fair";
+  return "Good";
+}
+
+// Function to compute the percentage drop from `before` to `after`; rises count as 0
+function dropPercent(before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) {
+    return null;
+  }
+  const previous = new BigNumber(before);
+  if (!previous.isGreaterThan(0)) {
+    return null;
+  }
+  const drop = previous.minus(after).dividedBy(previous).multipliedBy(100).toNumber();
+  return Math.max(drop, 0);
+}
+
+// Function to gather the raw signal values.
+// `pool` is { xrpReserve, lpTokenSupply, tradingFee, spotPrice }, `previous` an older snapshot
+// (or null) and `orderBookMid` the order book mid price in XRP (or null).
+function collectSignals(pool, previous, orderBookMid) {
+  const spotPrice = Number(pool.spotPrice);
+  return {
+    depthXRP: Number(pool.xrpReserve),
+    reserveDropPercent: previous ? dropPercent(previous.xrpReserve, pool.xrpReserve) : null,
+    lpSupplyDropPercent: previous ? dropPercent(previous.lpTokenSupply, pool.lpTokenSupply) : null,
+    // trading_fee is in units of 1/100000
+    tradingFeePercent:
+      pool.tradingFee !== undefined && pool.tradingFee !== null ? pool.tradingFee / 1000 : null,
+    orderBookDeviationPercent:
+      orderBookMid > 0 && spotPrice > 0
+        ? (Math.abs(spotPrice - orderBookMid) / orderBookMid) * 100
+        : null,
+  };
+}
+
+// Function to rate every signal and take the worst as the pool status.
+// Signals without a value (no history yet, no order book) are reported but not rated.
+function assessPoolHealth(signals, thresholds = POOL_HEALTH_THRESHOLDS) {
+  const rated = {};
+  const problems = [];
+  let worst = 0;
+
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null || value === undefined || isNaN(value)) {
+      rated[signal] = { value: null, status: null };
+      continue;
+    }
+    const status = rateSignal(value, thresholds[signal]);
+    rated[signal] = { value, status };
+    const rank = HEALTH_STATUSES.indexOf(status);
+    if (rank > 0) {
+      problems.push({ rank, message: SIGNAL_MESSAGES[signal](value) });
+    }
+    worst = Math.max(worst, rank);
+  }
+
+  problems.sort((a, b) => b.rank - a.rank);
+  return {
+    status: HEALTH_STATUSES[worst],
+    message:
+      problems.length > 0
+        ? problems.map((problem) => problem.message).join("; ")
+        : "No health signals above thresholds",
+    signals: rated,
+    evaluatedAt: new Date(),
+  };
+}
+
+// Function to evaluate a coin's pool health and record a status change.
+// `current` is { ammAccount, xrpReserve, lpTokenSupply, tradingFee, spotPrice, orderBookMid,
+// timestamp }; orderBookMid comes from orderBook.js and is null when either side is empty.
+async function evaluatePoolHealth(db, token, current) {
+  const timestamp = current.timestamp || new Date();
+  const previous = await getSnapshotAt(
+    db,
+    token._id,
+    new Date(timestamp.getTime() - POOL_HEALTH_WINDOW_MS)
+  );
+
+  const orderBookMid = current.orderBookMid ? Number(current.orderBookMid) : null;
+  const health = assessPoolHealth(collectSignals(current, previous, orderBookMid));
+  health.ammAccount = current.ammAccount || null;
+  health.windowMs = POOL_HEALTH_WINDOW_MS;
+
+  const previousStatus = token.poolHealth ? token.poolHealth.status : null;
+  if (previousStatus !== health.status) {
+    const events = await ensureEventsCollection(db);
+    await events.insertOne({
+      coinId: token._id,
+      symbol: token.symbol,
+      ammAccount: health.ammAccount,
+      from: previousStatus,
+      to: health.status,
+      message: health.message,
+      signals: health.signals,
+      timestamp,
+    });
+  }
+
+  return health;
+}
+
+// Function to read a coin's pool health status changes, newest first
+async function getPoolHealthEvents(db, coinId, { limit = 100 } = {}) {
+  const events = await ensureEventsCollection(db);
+  return events
+    .find({ coinId }, { projection: { _id: 0 } })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  HEALTH_STATUSES,
+  DEFAULT_THRESHOLDS,
+  POOL_HEALTH_THRESHOLDS,
+  rateSignal,
+  collectSignals,
+  assessPoolHealth,
+  evaluatePoolHealth,
+  getPoolHealthEvents,
+};
@@ -0,0 +1,301 @@
+// Token risk scoring
+// Combines issuer account flags, AMM liquidity depth, LP token concentration, pool age and
+// holder concentration into a 0-100 score (higher is riskier) with an explanation per factor.
+
+const BigNumber = require("bignumber.js");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { isLPTokenCode } = require("../lib/currencyCode");
+const { getConnectionPool, getFullHistoryPool } = require("./RippledupdateMCAP");
+const { getIssuerInfo } = require("./issuerInfo");
+const { readEntry } = require("./ammTrades");
+
+const RISK_UPDATE_INTERVAL_MS =
+  parseInt(process.env.RISK_UPDATE_INTERVAL_MS) || 60 * 60 * 1000;
+// Issuer settings change rarely, so they are re-read at most this often
+const ISSUER_INFO_MAX_AGE_MS =
+  parseInt(process.env.ISSUER_INFO_MAX_AGE_MS) || 24 * 60 * 60 * 1000;
+
+// Score boundaries for the risk levels
+const RISK_LEVELS = [
+  { level: "low", maxScore: 24 },
+  { level: "medium", maxScore: 49 },
+  { level: "high", maxScore: 100 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function to read how concentrated the LP tokens of a pool are.
+// LP tokens are issued by the AMM account, so its trustlines list every LP holder.
+async function fetchLPConcentration(pool, ammAccount) {
+  const balances = [];
+  let ledgerIndex = null;
+  let marker;
+
+  do {
+    const result = await pool.request({
+      command: "account_lines",
+      account: ammAccount,
+      ledger_index: ledgerIndex || "validated",
+      limit: 400,
+      marker,
+    });
+    ledgerIndex = result.ledger_index || ledgerIndex;
+    for (const line of result.lines || []) {
+      // Seen from the AMM account, holder balances are negative
+      const balance = new BigNumber(line.balance).negated();
+      if (isLPTokenCode(line.currency) && balance.isGreaterThan(0)) {
+        balances.push(balance);
+      }
+    }
+    marker = result.marker;
+  } while (marker);
+
+  balances.sort((a, b) => b.comparedTo(a));
+  const total = balances.reduce((sum, balance) => sum.plus(balance), new BigNumber(0));
+  const top10 = balances.slice(0, 10).reduce((sum, balance) => sum.plus(balance), new BigNumber(0));
+  const share = (amount) =>
+    total.isZero() ? 0 : amount.dividedBy(total).multipliedBy(100).toNumber();
+
+  return {
+    holders: balances.length,
+    topHolderShare: balances.length > 0 ? share(balances[0]) : 0,
+    top10Share: share(top10),
+  };
+}
+
+// Function to find when the AMM account was created: the transaction whose meta created its
+// AccountRoot (the AMMCreate). Asks a full-history node, since a node with partial history
+// returns its oldest stored transaction instead. Returns { createdAt, hash }, or null when the
+// creation was not found.
+async function fetchPoolCreatedAt(historyPool, ammAccount) {
+  const result = await historyPool.request({
+    command: "account_tx",
+    account: ammAccount,
+    ledger_index_min: -1,
+    ledger_index_max: -1,
+    forward: true,
+    limit: 1,
+  });
+  const [first] = result.transactions || [];
+  if (!first) {
+    return null;
+  }
+  const { meta, hash, timestamp } = readEntry(first);
+  const created = (meta.AffectedNodes || []).some(
+    (affected) =>
+      affected.CreatedNode &&
+      affected.CreatedNode.LedgerEntryType === "AccountRoot" &&
+      affected.CreatedNode.NewFields &&
+      affected.CreatedNode.NewFields.Account === ammAccount
+  );
+  if (!created || !timestamp) {
+    return null;
+  }
+  return { createdAt: timestamp, hash };
+}
+
+// Function to score a coin from data already gathered.
+// Missing inputs score as a small "not read yet" penalty rather than as safe.
+function scoreRisk(token, { issuerInfo, lpConcentration, poolCreatedAt } = {}, now = Date.now()) {
+  const factors = [];
+  const add = (factor, points, explanation) => {
+    if (points > 0) {
+      factors.push({ factor, points, explanation });
+    }
+  };
+
+  // Issuer account flags
+  if (!issuerInfo) {
+    add("issuer", 10, "Issuer settings have not been read yet");
+  } else {
+    if (!issuerInfo.blackholed) {
+      add("issuer", 15, "Issuer is not blackholed and can still change settings or issue more");
+    }
+    if (issuerInfo.globalFreeze) {
+      add("freeze", 30, "Issuer has frozen all trustlines (GlobalFreeze)");
+    } else if (!issuerInfo.noFreeze) {
+      add("freeze", 10, "Issuer can freeze trustlines (NoFreeze not set)");
+    }
+    if (issuerInfo.clawbackEnabled) {
+      add("clawback", 20, "Issuer can claw back tokens from holders");
+    }
+    if (issuerInfo.requireAuth) {
+      add("requireAuth", 5, "Trustlines need issuer authorization (RequireAuth)");
+    }
+    if (issuerInfo.transferFeePercent > 1) {
+      add("transferFee", 5, `Transfers pay a ${issuerInfo.transferFeePercent}% issuer fee`);
+    }
+  }
+
+  // AMM liquidity depth
+  const liquidity = Number(token.aggregatedLiquidity) || 0;
+  if (liquidity <= 0) {
+    add("liquidity", 25, "No AMM liquidity");
+  } else if (liquidity < 1000) {
+    add("liquidity", 20, `Only ${liquidity.toFixed(0)} XRP of AMM liquidity`);
+  } else if (liquidity < 10000) {
+    add("liquidity", 10, `${liquidity.toFixed(0)} XRP of AMM liquidity`);
+  }
+
+  // LP token concentration: one provider can pull most of the pool
+  if (liquidity > 0) {
+    if (!lpConcentration) {
+      add("lpConcentration", 5, "LP token holders have not been read yet");
+    } else if (lpConcentration.topHolderShare > 90) {
+      add(
+        "lpConcentration",
+        15,
+        `One account holds ${lpConcentration.topHolderShare.toFixed(1)}% of the LP tokens`
+      );
+    } else if (lpConcentration.topHolderShare > 50) {
+      add(
+        "lpConcentration",
+        8,
+        `One account holds ${lpConcentration.topHolderShare.toFixed(1)}% of the LP tokens`
+      );
+    }
+  }
+
+  // Pool age
+  if (poolCreatedAt) {
+    const ageDays = (now - new Date(poolCreatedAt).getTime()) / DAY_MS;
+    if (ageDays < 7) {
+      add("poolAge", 10, `AMM pool is ${ageDays.toFixed(1)} days old`);
+    } else if (ageDays < 30) {
+      add("poolAge", 5, `AMM pool is ${Math.floor(ageDays)} days old`);
+    }
+  }
+
+  // Holder concentration, leaving out AMM accounts (pooled tokens are not one owner's)
+  if (!token.holders) {
+    add("holderConcentration", 5, "Holder distribution has not been measured yet");
+  } else {
+    const topNonAMMShare = (token.holders.topHolders || [])
+      .filter((holder) => !holder.isAMM)
+      .reduce((sum, holder) => sum + holder.share, 0);
+    if (topNonAMMShare > 80) {
+      add("holderConcentration", 15, `Top 10 wallets hold ${topNonAMMShare.toFixed(1)}% of the supply`);
+    } else if (topNonAMMShare > 50) {
+      add("holderConcentration", 8, `Top 10 wallets hold ${topNonAMMShare.toFixed(1)}% of the supply`);
+    }
+  }
+
+  const score = Math.min(
+    100,
+    factors.reduce((sum, factor) => sum + factor.points, 0)
+  );
+  const { level } = RISK_LEVELS.find((entry) => score <= entry.maxScore);
+
+  return { score, level, factors, updatedAt: new Date() };
+}
+
+// Function to gather the risk inputs for one coin and store its score.
+// `issuerCache` shares issuer reads between coins of the same issuer within a pass.
+// `historyPool` answers the pool creation lookups and must reach full-history nodes.
+async function updateTokenRisk(
+  db,
+  pool,
+  token,
+  issuerCache = new Map(),
+  historyPool = getFullHistoryPool()
+) {
+  const collection = db.collection(COLLECTION_NAME);
+  const fields = {};
+
+  let issuerInfo = token.issuerInfo;
+  const issuerStale =
+    !issuerInfo || Date.now() - new Date(issuerInfo.updatedAt).getTime() > ISSUER_INFO_MAX_AGE_MS;
+  if (issuerStale && token.issuer) {
+    if (!issuerCache.has(token.issuer)) {
+      issuerCache.set(token.issuer, getIssuerInfo(pool, token.issuer));
+    }
+    issuerInfo = await issuerCache.get(token.issuer);
+    fields.issuerInfo = issuerInfo;
+  }
+
+  let lpConcentration = null;
+  // Dates without ammCreatedHash predate the creation check and are looked up again
+  let poolCreatedAt = token.ammCreatedHash ? token.ammCreatedAt : null;
+  if (token.ammAddress) {
+    lpConcentration = await fetchLPConcentration(pool, token.ammAddress);
+    fields.lpConcentration = { ...lpConcentration, updatedAt: new Date() };
+    if (!poolCreatedAt) {
+      const creation = await fetchPoolCreatedAt(historyPool, token.ammAddress);
+      if (creation) {
+        poolCreatedAt = creation.createdAt;
+        fields.ammCreatedAt = creation.createdAt;
+        fields.ammCreatedHash = creation.hash;
+      }
+    }
+  }
+
+  const risk = scoreRisk(token, { issuerInfo, lpConcentration, poolCreatedAt });
+  await collection.updateOne({ _id: token._id }, { $set: { ...fields, risk } });
+  return risk;
+}
+
+// Function to score every coin
+async function updateRiskScores() {
+  const uniqueLabel = `Risk scoring ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const tokens = await db
+      .collection(COLLECTION_NAME)
+      .find(
+        { issuer: { $exists: true } },
+        {
+          projection: {
+            symbol: 1,
+            issuer: 1,
+            ammAddress: 1,
+            ammCreatedAt: 1,
+            ammCreatedHash: 1,
+            aggregatedLiquidity: 1,
+            issuerInfo: 1,
+            holders: 1,
+          },
+        }
+      )
+      .toArray();
+
+    const pool = getConnectionPool();
+    const historyPool = getFullHistoryPool();
+    const issuerCache = new Map();
+    for (const token of tokens) {
+      try {
+        const risk = await updateTokenRisk(db, pool, token, issuerCache, historyPool);
+        console.log(`${token.symbol}: risk ${risk.score} (${risk.level})`);
+      } catch (error) {
+        console.error(`Error scoring risk for ${token.symbol}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("Error during risk scoring:", error);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  RISK_LEVELS,
+  fetchLPConcentration,
+  fetchPoolCreatedAt,
+  scoreRisk,
+  updateTokenRisk,
+  updateRiskScores,
+};
+
+// Main function: score now, then on every interval
+async function main() {
+  console.log("Starting risk scoring...");
+  for (;;) {
+    await updateRiskScores();
+    await new Promise((resolve) => setTimeout(resolve, RISK_UPDATE_INTERVAL_MS));
+  }
+}
+
+// Run the main function if this file is being run directly
+if (require.main === module) {
+  main();
+}
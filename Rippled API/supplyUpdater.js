@@ -0,0 +1,159 @@
+// Live supply tracking
+// Periodically reads each issuer's obligations (gateway_balances) and splits the outstanding
+// supply into total, circulating and burned, excluding configured treasury, burn and AMM balances.
+//
+// Per-coin exclusions live in `supplyExclusions`: { treasury: [address], burn: [address], excludeAMM }.
+
+const BigNumber = require("bignumber.js");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { encodeCurrencyCode, isValidCurrencyCode } = require("../lib/currencyCode");
+const { BLACKHOLE_ADDRESSES } = require("./issuerInfo");
+const { getConnectionPool } = require("./RippledupdateMCAP");
+
+const SUPPLY_UPDATE_INTERVAL_MS =
+  parseInt(process.env.SUPPLY_UPDATE_INTERVAL_MS) || 15 * 60 * 1000;
+// Addresses treated as burn wallets for every coin
+const SUPPLY_BURN_ADDRESSES = process.env.SUPPLY_BURN_ADDRESSES
+  ? process.env.SUPPLY_BURN_ADDRESSES.split(",")
+  : BLACKHOLE_ADDRESSES;
+// Whether tokens sitting in AMM pools count as circulating by default
+const SUPPLY_EXCLUDE_AMM = process.env.SUPPLY_EXCLUDE_AMM === "true";
+
+// Function to collect the addresses excluded from circulation for a coin, by category
+function getExclusions(token) {
+  const configured = token.supplyExclusions || {};
+  const excludeAMM =
+    configured.excludeAMM !== undefined ? Boolean(configured.excludeAMM) : SUPPLY_EXCLUDE_AMM;
+
+  const ammAccounts = new Set(token.ammPoolAccounts || []);
+  if (token.ammAddress) {
+    ammAccounts.add(token.ammAddress);
+  }
+
+  return {
+    treasury: configured.treasury || [],
+    burn: [...new Set([...SUPPLY_BURN_ADDRESSES, ...(configured.burn || [])])],
+    amm: [...ammAccounts],
+    excludeAMM,
+  };
+}
+
+// Function to sum the balances gateway_balances reports for the given addresses
+function sumBalances(balances, addresses, currencyCode) {
+  let total = new BigNumber(0);
+  for (const address of addresses) {
+    for (const balance of balances[address] || []) {
+      if (balance.currency === currencyCode) {
+        total = total.plus(balance.value);
+      }
+    }
+  }
+  return total;
+}
+
+// Function to read the supply breakdown for one coin.
+// Every excluded address is passed as a hotwallet, so gateway_balances reports it separately
+// and leaves it out of `obligations`.
+async function fetchSupply(pool, token) {
+  const currencyCode = encodeCurrencyCode(token.currencyCode);
+  const exclusions = getExclusions(token);
+  const hotwallet = [...new Set([...exclusions.treasury, ...exclusions.burn, ...exclusions.amm])];
+
+  const result = await pool.request({
+    command: "gateway_balances",
+    account: token.issuer,
+    hotwallet,
+    ledger_index: "validated",
+    strict: true,
+  });
+
+  const balances = result.balances || {};
+  const held = new BigNumber((result.obligations || {})[currencyCode] || 0);
+  const treasury = sumBalances(balances, exclusions.treasury, currencyCode);
+  const burned = sumBalances(balances, exclusions.burn, currencyCode);
+  const amm = sumBalances(balances, exclusions.amm, currencyCode);
+
+  const total = held.plus(treasury).plus(burned).plus(amm);
+  const circulating = exclusions.excludeAMM ? held : held.plus(amm);
+
+  return {
+    total: total.toFixed(),
+    circulating: circulating.toFixed(),
+    burned: burned.toFixed(),
+    treasury: treasury.toFixed(),
+    amm: amm.toFixed(),
+    ammExcluded: exclusions.excludeAMM,
+    ledgerIndex: result.ledger_index || null,
+    updatedAt: new Date(),
+  };
+}
+
+// Function to refresh the supply of every coin
+async function updateSupplies() {
+  const uniqueLabel = `Supply update ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    const tokens = await collection
+      .find(
+        { issuer: { $exists: true }, currencyCode: { $exists: true } },
+        {
+          projection: {
+            symbol: 1,
+            issuer: 1,
+            currencyCode: 1,
+            ammAddress: 1,
+            ammPoolAccounts: 1,
+            supplyExclusions: 1,
+          },
+        }
+      )
+      .toArray();
+
+    const pool = getConnectionPool();
+    const updates = [];
+    for (const token of tokens) {
+      if (!isValidCurrencyCode(token.currencyCode)) {
+        continue;
+      }
+      try {
+        const supply = await fetchSupply(pool, token);
+        updates.push({
+          updateOne: { filter: { _id: token._id }, update: { $set: { supply } } },
+        });
+      } catch (error) {
+        console.error(`Error fetching supply for ${token.symbol}:`, error.message);
+      }
+    }
+
+    if (updates.length > 0) {
+      await collection.bulkWrite(updates);
+    }
+    console.log(`Updated supply for ${updates.length} of ${tokens.length} tokens`);
+  } catch (error) {
+    console.error("Error during supply update:", error);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  getExclusions,
+  fetchSupply,
+  updateSupplies,
+};
+
+// Main function: refresh now, then on every interval
+async function main() {
+  console.log("Starting supply updates...");
+  for (;;) {
+    await updateSupplies();
+    await new Promise((resolve) => setTimeout(resolve, SUPPLY_UPDATE_INTERVAL_MS));
+  }
+}
+
+// Run the main function if this file is being run directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,555 @@
+// Wash-trading and self-trade detection
+// For each coin, reads the last 24h of account history for its AMM traders and order book
+// participants, then flags volume that looks circular:
+//   roundTrip      the same account buys and sells a similar amount within a short window
+//   fundingRing    accounts funded by the same source trade opposite sides of each other
+//   linkedWallets  accounts that paid each other trade opposite sides, or cross each other
+// The flagged share of the observed volume is applied to volume24h to give organicVolume24h.
+
+const BigNumber = require("bignumber.js");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { currencyCodesEqual, isValidCurrencyCode } = require("../lib/currencyCode");
+const { getConnectionPool, getFullHistoryPool } = require("./RippledupdateMCAP");
+const {
+  AMM_TRADES_COLLECTION_NAME,
+  readEntry,
+  updateCoinTrades,
+} = require("./ammTrades");
+const { fetchOrderBook } = require("./orderBook");
+
+// Function to read a numeric setting; unlike `|| fallback`, an explicit 0 is kept
+function readNumberSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const WASH_UPDATE_INTERVAL_MS = readNumberSetting("WASH_UPDATE_INTERVAL_MS", 60 * 60 * 1000);
+// Buy and sell closer together than this can pair up as a round trip
+const WASH_ROUND_TRIP_WINDOW_MS = readNumberSetting("WASH_ROUND_TRIP_WINDOW_MS", 10 * 60 * 1000);
+// Largest relative size difference between the two legs of a round trip
+const WASH_AMOUNT_TOLERANCE = readNumberSetting("WASH_AMOUNT_TOLERANCE", 0.2);
+// A source funding (or paying) more participants than this is treated as an exchange, not a ring
+const WASH_MAX_RING_SIZE = readNumberSetting("WASH_MAX_RING_SIZE", 25);
+// Known exchange or faucet accounts whose funded (or paid) wallets are unrelated
+const WASH_IGNORED_FUNDERS = process.env.WASH_IGNORED_FUNDERS
+  ? process.env.WASH_IGNORED_FUNDERS.split(",")
+  : [];
+// Participants whose history is read per coin, and account_tx pages per participant
+const WASH_MAX_PARTICIPANTS = readNumberSetting("WASH_MAX_PARTICIPANTS", 200);
+const WASH_MAX_PAGES = readNumberSetting("WASH_MAX_PAGES", 5);
+const WALLET_FUNDERS_COLLECTION_NAME =
+  process.env.WALLET_FUNDERS_COLLECTION_NAME || "wallet_funders";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DROPS_PER_XRP = 1000000;
+// Number of flagged accounts kept on the coin document
+const FLAGGED_ACCOUNTS_STORED = 20;
+
+// Function to read one account's side of a transaction in the coin.
+// Returns { hash, account, side, xrpAmount, tokenAmount, timestamp, counterparties } when the
+// account's XRP and token balances moved in opposite directions, otherwise null.
+function parseAccountTrade(entry, account, token) {
+  const { tx, meta, hash, timestamp } = readEntry(entry);
+  if (meta.TransactionResult !== "tesSUCCESS") {
+    return null;
+  }
+
+  let xrpDelta = new BigNumber(0);
+  let tokenDelta = new BigNumber(0);
+  const counterparties = new Set();
+  if (tx.Account && tx.Account !== account) {
+    // Someone else's transaction that moved our balances crossed one of our offers
+    counterparties.add(tx.Account);
+  }
+
+  for (const affected of meta.AffectedNodes || []) {
+    const node = affected.ModifiedNode || affected.DeletedNode;
+    if (!node || !node.FinalFields) {
+      continue;
+    }
+    const fields = node.FinalFields;
+    const previous = node.PreviousFields || {};
+
+    if (node.LedgerEntryType === "AccountRoot") {
+      if (fields.Account === account && previous.Balance !== undefined) {
+        xrpDelta = new BigNumber(fields.Balance).minus(previous.Balance);
+      } else if (fields.AMMID && previous.Balance !== undefined) {
+        counterparties.add(fields.Account);
+      }
+    } else if (node.LedgerEntryType === "RippleState" && previous.Balance) {
+      const low = fields.LowLimit.issuer;
+      const high = fields.HighLimit.issuer;
+      const isHolderLine =
+        ((low === account && high === token.issuer) ||
+          (high === account && low === token.issuer)) &&
+        currencyCodesEqual(fields.Balance.currency, token.currencyCode);
+      if (isHolderLine) {
+        const change = new BigNumber(fields.Balance.value).minus(previous.Balance.value);
+        tokenDelta = low === account ? change : change.negated();
+      }
+    } else if (node.LedgerEntryType === "Offer" && previous.TakerGets !== undefined) {
+      // A consumed offer belongs to a counterparty of the taker
+      if (fields.Account !== account) {
+        counterparties.add(fields.Account);
+      }
+    }
+  }
+
+  // The fee is not part of the trade
+  if (tx.Account === account && tx.Fee) {
+    xrpDelta = xrpDelta.plus(tx.Fee);
+  }
+  xrpDelta = xrpDelta.dividedBy(DROPS_PER_XRP);
+
+  if (
+    xrpDelta.isZero() ||
+    tokenDelta.isZero() ||
+    xrpDelta.isPositive() === tokenDelta.isPositive()
+  ) {
+    return null;
+  }
+
+  return {
+    hash,
+    account,
+    side: tokenDelta.isPositive() ? "buy" : "sell",
+    xrpAmount: xrpDelta.abs().toNumber(),
+    tokenAmount: tokenDelta.abs().toNumber(),
+    timestamp,
+    counterparties: [...counterparties],
+  };
+}
+
+// Function to read a participant's coin trades and direct payment links since `since`
+async function fetchAccountActivity(pool, account, token, since) {
+  const trades = [];
+  const payees = new Set();
+  let marker;
+  let pages = 0;
+
+  do {
+    const result = await pool.request({
+      command: "account_tx",
+      account,
+      ledger_index_min: -1,
+      ledger_index_max: -1,
+      forward: false,
+      limit: 200,
+      marker,
+    });
+    pages++;
+
+    let reachedCutoff = false;
+    for (const entry of result.transactions || []) {
+      const { tx, meta, timestamp } = readEntry(entry);
+      if (timestamp && timestamp < since) {
+        reachedCutoff = true;
+        break;
+      }
+      if (
+        tx.TransactionType === "Payment" &&
+        meta.TransactionResult === "tesSUCCESS" &&
+        tx.Destination &&
+        tx.Destination !== tx.Account
+      ) {
+        payees.add(tx.Account === account ? tx.Destination : tx.Account);
+      }
+      const trade = parseAccountTrade(entry, account, token);
+      // Trades are paired by time, so entries without a close time are left out
+      if (trade && trade.timestamp) {
+        trades.push(trade);
+      }
+    }
+
+    marker = reachedCutoff ? undefined : result.marker;
+  } while (marker && pages < WASH_MAX_PAGES);
+
+  return { trades, payees: [...payees] };
+}
+
+// Cached setup promise so the index is only created once per process
+let funderCollectionReady = null;
+
+function ensureFunderCollection(db) {
+  if (funderCollectionReady) {
+    return funderCollectionReady;
+  }
+
+  funderCollectionReady = (async () => {
+    const funders = db.collection(WALLET_FUNDERS_COLLECTION_NAME);
+    await funders.createIndex({ account: 1 }, { unique: true });
+    return funders;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  funderCollectionReady.catch(() => {
+    funderCollectionReady = null;
+  });
+  return funderCollectionReady;
+}
+
+// Function to find who funded (activated) an account: the sender of the transaction whose
+// meta created its AccountRoot. Asks a full-history node, since a node with partial history
+// returns its oldest stored transaction instead. Only found activations are cached in
+// wallet_funders; returns null when the activation was not found.
+async function getFunder(db, historyPool, account) {
+  const funders = await ensureFunderCollection(db);
+  // Entries without activationHash predate the activation check and are looked up again
+  const cached = await funders.findOne({ account, activationHash: { $exists: true } });
+  if (cached) {
+    return cached.funder;
+  }
+
+  const result = await historyPool.request({
+    command: "account_tx",
+    account,
+    ledger_index_min: -1,
+    ledger_index_max: -1,
+    forward: true,
+    limit: 1,
+  });
+  const [first] = result.transactions || [];
+  if (!first) {
+    return null;
+  }
+  const { tx, meta, hash, ledgerIndex } = readEntry(first);
+  const activated = (meta.AffectedNodes || []).some(
+    (affected) =>
+      affected.CreatedNode &&
+      affected.CreatedNode.LedgerEntryType === "AccountRoot" &&
+      affected.CreatedNode.NewFields &&
+      affected.CreatedNode.NewFields.Account === account
+  );
+  if (!activated || !tx.Account || tx.Account === account) {
+    return null;
+  }
+
+  await funders.updateOne(
+    { account },
+    {
+      $set: {
+        funder: tx.Account,
+        activationHash: hash,
+        activationLedger: ledgerIndex,
+        checkedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return tx.Account;
+}
+
+// Function to group participants into clusters of linked wallets (union-find).
+// `links` is a list of [accountA, accountB, linkType].
+function buildClusters(accounts, links) {
+  const parent = new Map(accounts.map((account) => [account, account]));
+  const find = (account) => {
+    while (parent.get(account) !== account) {
+      parent.set(account, parent.get(parent.get(account)));
+      account = parent.get(account);
+    }
+    return account;
+  };
+
+  const linkTypes = new Map();
+  for (const [a, b, type] of links) {
+    if (!parent.has(a) || !parent.has(b) || a === b) {
+      continue;
+    }
+    parent.set(find(a), find(b));
+    linkTypes.set([a, b].sort().join(":"), type);
+  }
+
+  return {
+    clusterOf: find,
+    // The link between two accounts, or the cluster-wide relation when they are linked
+    // through others
+    linkType: (a, b) => linkTypes.get([a, b].sort().join(":")) || "linkedWallets",
+  };
+}
+
+// Function to flag wash trades among the participants' trades.
+// Returns { observedVolume, washVolume, patterns, flaggedAccounts }.
+function detectWashTrades(trades, { links = [], windowMs = WASH_ROUND_TRIP_WINDOW_MS } = {}) {
+  const accounts = new Set(trades.map((trade) => trade.account));
+  const { clusterOf, linkType } = buildClusters([...accounts], links);
+  const flags = new Map(); // trade -> pattern
+
+  // Trades that crossed an offer or swap of a linked wallet
+  for (const trade of trades) {
+    for (const counterparty of trade.counterparties || []) {
+      if (accounts.has(counterparty) && clusterOf(counterparty) === clusterOf(trade.account)) {
+        flags.set(trade, linkType(trade.account, counterparty));
+      }
+    }
+  }
+
+  // Buys and sells of similar size within the window inside one cluster. Per cluster, buys
+  // and sells are walked in time order; `start` is the first sell not too old for the
+  // current buy and only moves forward, so each buy only scans the sells in its window.
+  const byCluster = new Map();
+  for (const trade of trades) {
+    const cluster = clusterOf(trade.account);
+    if (!byCluster.has(cluster)) {
+      byCluster.set(cluster, { buys: [], sells: [] });
+    }
+    byCluster.get(cluster)[trade.side === "buy" ? "buys" : "sells"].push(trade);
+  }
+
+  for (const { buys, sells } of byCluster.values()) {
+    buys.sort((a, b) => a.timestamp - b.timestamp);
+    sells.sort((a, b) => a.timestamp - b.timestamp);
+    const matched = new Set();
+    let start = 0;
+
+    for (const buy of buys) {
+      const buyTime = buy.timestamp.getTime();
+      while (start < sells.length && sells[start].timestamp.getTime() < buyTime - windowMs) {
+        start++;
+      }
+      let sell = null;
+      for (let i = start; i < sells.length; i++) {
+        const candidate = sells[i];
+        if (candidate.timestamp.getTime() > buyTime + windowMs) {
+          break;
+        }
+        if (
+          !matched.has(candidate) &&
+          Math.abs(candidate.xrpAmount - buy.xrpAmount) <=
+            WASH_AMOUNT_TOLERANCE * Math.max(candidate.xrpAmount, buy.xrpAmount)
+        ) {
+          sell = candidate;
+          break;
+        }
+      }
+      if (!sell) {
+        continue;
+      }
+      matched.add(sell);
+      const pattern =
+        sell.account === buy.account ? "roundTrip" : linkType(buy.account, sell.account);
+      for (const trade of [buy, sell]) {
+        if (!flags.has(trade)) {
+          flags.set(trade, pattern);
+        }
+      }
+    }
+  }
+
+  // Both sides of one transaction can appear in the data, so volume is counted per hash
+  const volumeByHash = new Map();
+  const washByHash = new Map();
+  for (const trade of trades) {
+    volumeByHash.set(trade.hash, Math.max(volumeByHash.get(trade.hash) || 0, trade.xrpAmount));
+    if (flags.has(trade)) {
+      const current = washByHash.get(trade.hash);
+      if (!current || trade.xrpAmount > current.xrpAmount) {
+        washByHash.set(trade.hash, { xrpAmount: trade.xrpAmount, pattern: flags.get(trade) });
+      }
+    }
+  }
+
+  const patterns = { roundTrip: 0, fundingRing: 0, linkedWallets: 0 };
+  let washVolume = 0;
+  for (const { xrpAmount, pattern } of washByHash.values()) {
+    washVolume += xrpAmount;
+    patterns[pattern] += xrpAmount;
+  }
+  const observedVolume = [...volumeByHash.values()].reduce((sum, volume) => sum + volume, 0);
+
+  const byAccount = new Map();
+  for (const [trade, pattern] of flags) {
+    const entry = byAccount.get(trade.account) || { account: trade.account, washVolume: 0, patterns: [] };
+    entry.washVolume += trade.xrpAmount;
+    if (!entry.patterns.includes(pattern)) {
+      entry.patterns.push(pattern);
+    }
+    byAccount.set(trade.account, entry);
+  }
+
+  return {
+    observedVolume,
+    washVolume,
+    patterns,
+    flaggedAccounts: [...byAccount.values()]
+      .sort((a, b) => b.washVolume - a.washVolume)
+      .slice(0, FLAGGED_ACCOUNTS_STORED),
+  };
+}
+
+// Function to collect the coin's participants: last-24h AMM traders and order book owners
+async function getParticipants(db, pool, token, since) {
+  const participants = new Set(
+    await db
+      .collection(AMM_TRADES_COLLECTION_NAME)
+      .distinct("account", { coinId: token._id, timestamp: { $gte: since } })
+  );
+  try {
+    const book = await fetchOrderBook(pool, token);
+    for (const level of [...book.asks, ...book.bids]) {
+      participants.add(level.account);
+    }
+  } catch (error) {
+    console.error(`Error reading order book for ${token.symbol}:`, error.message);
+  }
+  // The issuer and pools are not traders
+  participants.delete(token.issuer);
+  for (const ammAccount of [token.ammAddress, ...(token.ammPoolAccounts || [])]) {
+    participants.delete(ammAccount);
+  }
+  return [...participants].slice(0, WASH_MAX_PARTICIPANTS);
+}
+
+// Function to run the detector for one coin and store the result.
+// `historyPool` answers the activation lookups and must reach full-history nodes.
+async function updateCoinWashTrading(
+  db,
+  pool,
+  collection,
+  token,
+  historyPool = getFullHistoryPool()
+) {
+  const since = new Date(Date.now() - DAY_MS);
+  if (token.ammAddress) {
+    await updateCoinTrades(db, pool, collection, token);
+  }
+
+  const participants = await getParticipants(db, pool, token, since);
+  const trades = [];
+  const links = [];
+  const funders = new Map();
+  const payees = new Map();
+
+  for (const account of participants) {
+    const activity = await fetchAccountActivity(pool, account, token, since);
+    trades.push(...activity.trades);
+    for (const payee of activity.payees) {
+      if (!WASH_IGNORED_FUNDERS.includes(payee)) {
+        payees.set(payee, [...(payees.get(payee) || []), account]);
+      }
+    }
+    const funder = await getFunder(db, historyPool, account);
+    if (funder && !WASH_IGNORED_FUNDERS.includes(funder)) {
+      funders.set(funder, [...(funders.get(funder) || []), account]);
+    }
+  }
+
+  // Payments link wallets, unless the counterparty pays or is paid by so many participants
+  // that it looks like an exchange
+  for (const [payee, payers] of payees) {
+    if (payers.length > WASH_MAX_RING_SIZE) {
+      continue;
+    }
+    for (const account of payers) {
+      links.push([account, payee, "linkedWallets"]);
+    }
+  }
+
+  // Wallets sharing a funder form a ring, and trade linked to the funder, unless the funder
+  // looks like an exchange
+  for (const [funder, funded] of funders) {
+    if (funded.length > WASH_MAX_RING_SIZE) {
+      continue;
+    }
+    for (let i = 0; i < funded.length; i++) {
+      links.push([funded[i], funder, "linkedWallets"]);
+      for (let j = i + 1; j < funded.length; j++) {
+        links.push([funded[i], funded[j], "fundingRing"]);
+      }
+    }
+  }
+
+  const result = detectWashTrades(trades, { links });
+  const washFraction = result.observedVolume > 0 ? result.washVolume / result.observedVolume : 0;
+  const volume24h = Number(token.volume24h) || 0;
+
+  const washTrading = {
+    ...result,
+    // Percent of the observed volume that was flagged
+    washShare: Math.round(washFraction * 10000) / 100,
+    participants: participants.length,
+    trades: trades.length,
+    updatedAt: new Date(),
+  };
+  await collection.updateOne(
+    { _id: token._id },
+    {
+      $set: {
+        washTrading,
+        washShare: washTrading.washShare,
+        organicVolume24h: volume24h * (1 - washFraction),
+      },
+    }
+  );
+  return washTrading;
+}
+
+// Function to run the detector for every coin
+async function updateWashTrading() {
+  const uniqueLabel = `Wash trading update ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    const tokens = await collection
+      .find(
+        { issuer: { $exists: true }, currencyCode: { $exists: true } },
+        {
+          projection: {
+            symbol: 1,
+            issuer: 1,
+            currencyCode: 1,
+            ammAddress: 1,
+            ammPoolAccounts: 1,
+            ammTradesLedgerIndex: 1,
+            volume24h: 1,
+          },
+        }
+      )
+      .toArray();
+
+    const pool = getConnectionPool();
+    const historyPool = getFullHistoryPool();
+    for (const token of tokens) {
+      if (!isValidCurrencyCode(token.currencyCode)) {
+        continue;
+      }
+      try {
+        const result = await updateCoinWashTrading(db, pool, collection, token, historyPool);
+        console.log(
+          `${token.symbol}: ${result.washShare.toFixed(1)}% of ${result.observedVolume.toFixed(
+            2
+          )} XRP observed volume flagged (${result.participants} participants)`
+        );
+      } catch (error) {
+        console.error(`Error checking wash trading for ${token.symbol}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("Error during wash trading update:", error);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  parseAccountTrade,
+  buildClusters,
+  detectWashTrades,
+  updateCoinWashTrading,
+  updateWashTrading,
+};
+
+// Main function: check now, then on every interval
+async function main() {
+  console.log("Starting wash trading detection...");
+  for (;;) {
+    await updateWashTrading();
+    await new Promise((resolve) => setTimeout(resolve, WASH_UPDATE_INTERVAL_MS));
+  }
+}
+
+// Run the main function if this file is being run directly
+if (require.main === module) {
+  main();
+}
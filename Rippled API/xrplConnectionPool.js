@@ -0,0 +1,434 @@
+// Long-lived WebSocket connection pool for rippled nodes
+// Multiplexes many requests over a few sockets using request id correlation
+
+const WebSocket = require("ws");
+const EventEmitter = require("events");
+
+// Pool tuning, overridable from the environment
+const CONNECTIONS_PER_NODE = parseInt(process.env.XRPL_CONNECTIONS_PER_NODE) || 2;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.XRPL_REQUEST_TIMEOUT_MS) || 10000;
+const CONNECT_TIMEOUT_MS = 10000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+const KEEPALIVE_INTERVAL_MS = 30 * 1000;
+const SUBSCRIBE_BATCH_SIZE = 500; // Accounts per subscribe message
+
+// Helper function to wait for a specified number of milliseconds
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to create a pool of persistent connections to the given nodes.
+// `limiters` maps a URL substring to a Bottleneck limiter for rate limited nodes.
+function createConnectionPool(urls, options = {}) {
+  const connectionsPerNode = options.connectionsPerNode || CONNECTIONS_PER_NODE;
+  const requestTimeout = options.requestTimeout || REQUEST_TIMEOUT_MS;
+  const limiters = options.limiters || {};
+  const events = new EventEmitter();
+
+  const connections = [];
+  let nextRequestId = 1;
+  let closed = false;
+
+  // Stream subscriptions live on a single connection and are replayed if it drops
+  const subscription = { streams: new Set(), accounts: new Set() };
+  let streamConn = null;
+  let attachingStreams = null;
+
+  // Create the connection slots, ordered by node priority
+  urls.forEach((url) => {
+    for (let i = 0; i < connectionsPerNode; i++) {
+      connections.push({
+        url,
+        ws: null,
+        open: false,
+        opening: null,
+        pending: new Map(),
+        failures: 0,
+        reconnectTimer: null,
+        keepaliveTimer: null,
+        alive: false,
+      });
+    }
+  });
+
+  function limiterFor(url) {
+    const key = Object.keys(limiters).find((pattern) => url.includes(pattern));
+    return key ? limiters[key] : null;
+  }
+
+  // Reject everything still waiting on a connection that went away
+  function failPending(conn, error) {
+    for (const entry of conn.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+    conn.pending.clear();
+  }
+
+  function scheduleReconnect(conn) {
+    if (closed || conn.reconnectTimer) {
+      return;
+    }
+    // Exponential backoff with jitter, capped so a dead node is retried eventually
+    const backoff = Math.min(
+      RECONNECT_BASE_DELAY_MS * Math.pow(2, conn.failures),
+      RECONNECT_MAX_DELAY_MS
+    );
+    const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    conn.failures++;
+    conn.reconnectTimer = setTimeout(() => {
+      conn.reconnectTimer = null;
+      connect(conn).catch((error) => {
+        console.error(`Reconnect to ${conn.url} failed:`, error.message);
+      });
+    }, delay);
+  }
+
+  function handleMessage(conn, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (parseError) {
+      console.error(`Failed to parse WebSocket message from ${conn.url}`);
+      return;
+    }
+
+    if (message.id !== undefined && conn.pending.has(message.id)) {
+      const entry = conn.pending.get(message.id);
+      conn.pending.delete(message.id);
+      clearTimeout(entry.timer);
+
+      if (message.status === "error" || message.error) {
+        const error = new Error(
+          message.error_message || message.error || "Request failed"
+        );
+        error.data = message;
+        entry.reject(error);
+      } else if (message.result) {
+        entry.resolve(message.result);
+      } else {
+        entry.reject(new Error("Invalid response format"));
+      }
+      return;
+    }
+
+    // Anything without a matching id is a stream message
+    events.emit("message", message, conn.url);
+  }
+
+  function connect(conn) {
+    if (conn.open) {
+      return Promise.resolve(conn);
+    }
+    if (conn.opening) {
+      return conn.opening;
+    }
+
+    conn.opening = new Promise((resolve, reject) => {
+      const ws = new WebSocket(conn.url);
+      conn.ws = ws;
+
+      const timeout = setTimeout(() => {
+        ws.terminate();
+        reject(new Error(`Node ${conn.url} error: WebSocket connection timeout`));
+      }, CONNECT_TIMEOUT_MS);
+
+      ws.on("open", () => {
+        clearTimeout(timeout);
+        conn.open = true;
+        conn.alive = true;
+        conn.failures = 0;
+        conn.opening = null;
+
+        // Ping periodically so half-open sockets are detected and replaced
+        conn.keepaliveTimer = setInterval(() => {
+          if (!conn.alive) {
+            ws.terminate();
+            return;
+          }
+          conn.alive = false;
+          ws.ping();
+        }, KEEPALIVE_INTERVAL_MS);
+
+        events.emit("open", conn.url);
+        resolve(conn);
+      });
+
+      ws.on("pong", () => {
+        conn.alive = true;
+      });
+
+      ws.on("message", (data) => handleMessage(conn, data));
+
+      ws.on("error", (error) => {
+        clearTimeout(timeout);
+        if (conn.opening) {
+          reject(new Error(`Node ${conn.url} error: ${error.message}`));
+        }
+      });
+
+      ws.on("close", () => {
+        clearTimeout(timeout);
+        clearInterval(conn.keepaliveTimer);
+        const wasOpen = conn.open;
+        conn.open = false;
+        conn.opening = null;
+        conn.ws = null;
+        failPending(conn, new Error(`Node ${conn.url} error: connection closed`));
+        if (wasOpen) {
+          events.emit("close", conn.url);
+        }
+        if (conn === streamConn) {
+          streamConn = null;
+          reattachStreams();
+        }
+        scheduleReconnect(conn);
+      });
+    });
+
+    // A failed handshake is retried by the close handler's backoff
+    conn.opening.catch(() => {});
+    return conn.opening;
+  }
+
+  // Pick the open connection with the fewest in-flight requests, preferring earlier nodes
+  function pickConnection(exclude) {
+    let best = null;
+    for (const conn of connections) {
+      if (!conn.open || exclude.has(conn)) {
+        continue;
+      }
+      if (!best || conn.pending.size < best.pending.size) {
+        best = conn;
+      }
+    }
+    return best;
+  }
+
+  async function acquireConnection(exclude) {
+    const ready = pickConnection(exclude);
+    if (ready) {
+      return ready;
+    }
+    // Nothing open yet: wait for the first candidate that finishes its handshake.
+    // Connections sitting out a reconnect backoff are left alone.
+    const candidates = connections.filter(
+      (conn) => !exclude.has(conn) && !conn.reconnectTimer
+    );
+    if (candidates.length === 0) {
+      return null;
+    }
+    try {
+      return await Promise.any(candidates.map((conn) => connect(conn)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function send(conn, payload) {
+    return new Promise((resolve, reject) => {
+      // The socket may have dropped while the request sat in a limiter queue
+      if (!conn.open) {
+        reject(new Error(`Node ${conn.url} error: connection closed`));
+        return;
+      }
+
+      const id = nextRequestId++;
+      const timer = setTimeout(() => {
+        conn.pending.delete(id);
+        reject(new Error(`Node ${conn.url} error: request timeout`));
+      }, requestTimeout);
+
+      conn.pending.set(id, { resolve, reject, timer });
+      conn.ws.send(JSON.stringify({ ...payload, id }), (error) => {
+        if (error) {
+          conn.pending.delete(id);
+          clearTimeout(timer);
+          reject(new Error(`Node ${conn.url} error: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  // Function to send a request, failing over to other connections on transport errors.
+  // Errors returned by rippled itself (e.g. actNotFound) are not retried.
+  async function request(payload) {
+    if (closed) {
+      throw new Error("Connection pool is closed");
+    }
+
+    const tried = new Set();
+    let lastError = null;
+
+    while (tried.size < connections.length) {
+      const conn = await acquireConnection(tried);
+      if (!conn) {
+        break;
+      }
+      tried.add(conn);
+
+      try {
+        const limiter = limiterFor(conn.url);
+        if (limiter) {
+          return await limiter.schedule(() => send(conn, payload));
+        }
+        return await send(conn, payload);
+      } catch (error) {
+        if (error.data) {
+          throw error;
+        }
+        lastError = error;
+        console.error(`Error with node ${conn.url}:`, error.message);
+      }
+    }
+
+    throw lastError || new Error("Failed to reach any available node");
+  }
+
+  // Send subscribe/unsubscribe commands, splitting long account lists into batches
+  async function sendSubscription(conn, command, streams, accounts) {
+    const results = [];
+    if (streams.length > 0) {
+      results.push(await send(conn, { command, streams }));
+    }
+    for (let i = 0; i < accounts.length; i += SUBSCRIBE_BATCH_SIZE) {
+      results.push(
+        await send(conn, {
+          command,
+          accounts: accounts.slice(i, i + SUBSCRIBE_BATCH_SIZE),
+        })
+      );
+    }
+    return results;
+  }
+
+  // Move every active subscription onto a live connection
+  function attachStreams() {
+    if (attachingStreams) {
+      return attachingStreams;
+    }
+    attachingStreams = (async () => {
+      try {
+        const conn = await acquireConnection(new Set());
+        if (!conn) {
+          throw new Error("Failed to reach any available node");
+        }
+        // subscribe() calls made while this attach is in flight only add to the subscription
+        // set, so keep attaching until nothing in the set is missing from the connection
+        const attached = { streams: new Set(), accounts: new Set() };
+        const results = [];
+        for (;;) {
+          const streams = [...subscription.streams].filter((s) => !attached.streams.has(s));
+          const accounts = [...subscription.accounts].filter((a) => !attached.accounts.has(a));
+          if (streams.length === 0 && accounts.length === 0) {
+            break;
+          }
+          results.push(...(await sendSubscription(conn, "subscribe", streams, accounts)));
+          streams.forEach((stream) => attached.streams.add(stream));
+          accounts.forEach((account) => attached.accounts.add(account));
+        }
+
+        // Drop anything unsubscribed while the attach was in flight
+        const staleStreams = [...attached.streams].filter((s) => !subscription.streams.has(s));
+        const staleAccounts = [...attached.accounts].filter((a) => !subscription.accounts.has(a));
+        if (staleStreams.length > 0 || staleAccounts.length > 0) {
+          await sendSubscription(conn, "unsubscribe", staleStreams, staleAccounts);
+        }
+        streamConn = conn;
+        events.emit("subscribed", conn.url, results);
+        return results;
+      } finally {
+        attachingStreams = null;
+      }
+    })();
+    return attachingStreams;
+  }
+
+  // Retry attaching the streams with backoff until a node accepts them
+  async function reattachStreams() {
+    let attempt = 0;
+    while (!closed && !streamConn) {
+      try {
+        await attachStreams();
+        console.log(`Stream subscriptions restored on ${streamConn.url}`);
+        return;
+      } catch (error) {
+        const delay = Math.min(
+          RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt++),
+          RECONNECT_MAX_DELAY_MS
+        );
+        console.error(
+          `Failed to restore stream subscriptions, retrying in ${delay} ms:`,
+          error.message
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  // Function to subscribe to streams and/or accounts; the subscription survives reconnects
+  async function subscribe({ streams = [], accounts = [] }) {
+    streams.forEach((stream) => subscription.streams.add(stream));
+    accounts.forEach((account) => subscription.accounts.add(account));
+
+    if (streamConn && streamConn.open) {
+      return sendSubscription(streamConn, "subscribe", streams, accounts);
+    }
+    return attachStreams();
+  }
+
+  async function unsubscribe({ streams = [], accounts = [] }) {
+    streams.forEach((stream) => subscription.streams.delete(stream));
+    accounts.forEach((account) => subscription.accounts.delete(account));
+
+    if (streamConn && streamConn.open) {
+      return sendSubscription(streamConn, "unsubscribe", streams, accounts);
+    }
+    return [];
+  }
+
+  // Function to open every connection up front so the first pass skips the handshakes
+  async function warmUp() {
+    await Promise.allSettled(connections.map((conn) => connect(conn)));
+    return connections.filter((conn) => conn.open).length;
+  }
+
+  async function close() {
+    closed = true;
+    for (const conn of connections) {
+      clearTimeout(conn.reconnectTimer);
+      clearInterval(conn.keepaliveTimer);
+      failPending(conn, new Error("Connection pool is closed"));
+      if (conn.ws) {
+        conn.ws.close();
+      }
+    }
+    // Give the close frames a moment to flush
+    await wait(100);
+  }
+
+  function stats() {
+    return connections.map((conn) => ({
+      url: conn.url,
+      open: conn.open,
+      pending: conn.pending.size,
+      failures: conn.failures,
+    }));
+  }
+
+  return {
+    request,
+    subscribe,
+    unsubscribe,
+    warmUp,
+    close,
+    stats,
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+  };
+}
+
+module.exports = {
+  createConnectionPool,
+};
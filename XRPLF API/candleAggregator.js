@@ -0,0 +1,202 @@
+// Candle aggregation engine
+// Builds higher-timeframe candles from stored finer ones (5m from 1m, 15m from 5m, ... 1M from 1d),
+// so only 1m has to be fetched from XRPLF. Buckets follow UTC calendar boundaries, so gaps in the
+// source (minutes without trades) simply leave fewer candles in a bucket, and 1M follows month lengths.
+
+const { connectToDatabase, closeDatabase, COLLECTION_NAME } = require("../lib/db");
+const {
+  CANDLES_COLLECTION_NAME,
+  INTERVAL_HISTORY_DAYS,
+  ensureCandleCollection,
+} = require("./candles");
+
+// Each interval and the interval it is built from, in build order
+const CASCADE = [
+  { interval: "5m", source: "1m" },
+  { interval: "15m", source: "5m" },
+  { interval: "30m", source: "15m" },
+  { interval: "1h", source: "30m" },
+  { interval: "4h", source: "1h" },
+  { interval: "1d", source: "4h" },
+  { interval: "1M", source: "1d" },
+];
+
+// $dateTrunc settings per interval
+const BUCKETS = {
+  "5m": { unit: "minute", binSize: 5 },
+  "15m": { unit: "minute", binSize: 15 },
+  "30m": { unit: "minute", binSize: 30 },
+  "1h": { unit: "hour", binSize: 1 },
+  "4h": { unit: "hour", binSize: 4 },
+  "1d": { unit: "day", binSize: 1 },
+  "1M": { unit: "month", binSize: 1 },
+};
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Volume fields summed into the coarser candle. unique_buyers / unique_sellers are not
+// additive across candles, so they are left out of aggregated candles.
+const SUMMED_FIELDS = [
+  "base_volume",
+  "base_volume_buy",
+  "base_volume_sell",
+  "counter_volume",
+  "counter_volume_buy",
+  "counter_volume_sell",
+  "exchanges",
+];
+
+// Function to find the start of the bucket containing `date` (UTC, same alignment as $dateTrunc)
+function floorToBucket(interval, date) {
+  const { unit, binSize } = BUCKETS[interval];
+  if (unit === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const size = UNIT_MS[unit] * binSize;
+  return new Date(Math.floor(date.getTime() / size) * size);
+}
+
+// Function to find the first bucket starting at or after `date`
+function ceilToBucket(interval, date) {
+  const floor = floorToBucket(interval, date);
+  if (floor.getTime() === date.getTime()) {
+    return floor;
+  }
+  const { unit, binSize } = BUCKETS[interval];
+  if (unit === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+  return new Date(floor.getTime() + UNIT_MS[unit] * binSize);
+}
+
+// Function to rebuild one interval for one coin from `from` onwards
+async function aggregateInterval(db, coinId, interval, source, from) {
+  const collection = await ensureCandleCollection(db);
+  const historyMs = (INTERVAL_HISTORY_DAYS[interval] || 30) * DAY_MS;
+
+  const group = {
+    _id: {
+      $dateTrunc: { date: "$timestamp", timezone: "UTC", ...BUCKETS[interval] },
+    },
+    open: { $first: "$open" },
+    high: { $max: "$high" },
+    low: { $min: "$low" },
+    close: { $last: "$close" },
+    sourceCandles: { $sum: 1 },
+  };
+  for (const field of SUMMED_FIELDS) {
+    group[field] = { $sum: `$${field}` };
+  }
+
+  await collection
+    .aggregate([
+      { $match: { coinId, interval: source, timestamp: { $gte: from } } },
+      { $sort: { timestamp: 1 } },
+      { $group: group },
+      {
+        $project: {
+          _id: 0,
+          coinId: { $literal: coinId },
+          interval: { $literal: interval },
+          timestamp: "$_id",
+          open: 1,
+          high: 1,
+          low: 1,
+          close: 1,
+          sourceCandles: 1,
+          ...Object.fromEntries(SUMMED_FIELDS.map((field) => [field, 1])),
+          aggregatedFrom: { $literal: source },
+          expireAt: { $add: ["$_id", historyMs] },
+          updatedAt: "$$NOW",
+        },
+      },
+      {
+        $merge: {
+          into: CANDLES_COLLECTION_NAME,
+          on: ["coinId", "interval", "timestamp"],
+          // Replace rather than merge so fields of an earlier fetched candle, such as
+          // unique_buyers / unique_sellers, do not outlive the rebuild
+          whenMatched: "replace",
+          whenNotMatched: "insert",
+        },
+      },
+    ])
+    .toArray();
+}
+
+// Function to build every coarser interval for one coin.
+// Each interval restarts at its newest stored candle (which may still be open). A bucket is only
+// built when the source covers it from its start, so a partial source window never overwrites
+// coarser history that was backfilled from XRPLF.
+async function aggregateCoinCandles(db, coinId) {
+  const collection = await ensureCandleCollection(db);
+  const built = {};
+
+  for (const { interval, source } of CASCADE) {
+    const earliestSource = await collection.findOne(
+      { coinId, interval: source },
+      { sort: { timestamp: 1 }, projection: { timestamp: 1 } }
+    );
+    if (!earliestSource) {
+      continue;
+    }
+
+    const lastTarget = await collection.findOne(
+      { coinId, interval },
+      { sort: { timestamp: -1 }, projection: { timestamp: 1 } }
+    );
+    const coveredFrom = ceilToBucket(interval, earliestSource.timestamp);
+    const from =
+      lastTarget && lastTarget.timestamp > coveredFrom ? lastTarget.timestamp : coveredFrom;
+
+    await aggregateInterval(db, coinId, interval, source, from);
+    built[interval] = from;
+  }
+
+  return built;
+}
+
+// Function to aggregate candles for every coin that has any
+async function aggregateAllCandles() {
+  const uniqueLabel = `Candle aggregation ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const coins = await db
+      .collection(COLLECTION_NAME)
+      .find({}, { projection: { symbol: 1 } })
+      .toArray();
+
+    for (const coin of coins) {
+      try {
+        await aggregateCoinCandles(db, coin._id);
+      } catch (error) {
+        console.error(`Error aggregating candles for ${coin.symbol}:`, error);
+      }
+    }
+    console.log(`Aggregated candles for ${coins.length} coins`);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  CASCADE,
+  floorToBucket,
+  ceilToBucket,
+  aggregateInterval,
+  aggregateCoinCandles,
+  aggregateAllCandles,
+};
+
+// Run the aggregation once if this file is being run directly
+if (require.main === module) {
+  aggregateAllCandles()
+    .catch((error) => console.error("Error during candle aggregation:", error))
+    .finally(() => closeDatabase());
+}
@@ -0,0 +1,173 @@
+// OHLCV candle store
+// One document per coin, interval and candle timestamp in the candles collection.
+// Backfill resumes from the last stored candle and candles expire after their interval's history window.
+
+const { getXrplfClient } = require("../lib/xrplfClient");
+
+const CANDLES_COLLECTION_NAME = process.env.CANDLES_COLLECTION_NAME || "candles";
+
+// Intervals kept in the store, finest first
+const INTERVALS = ["1m", "5m", "15m", "30m", "1h", "4h", "1d", "1M"];
+
+// Mapping of intervals to days of history kept (and backfilled)
+const INTERVAL_HISTORY_DAYS = {
+  "1m": 1, // last 1 day
+  "5m": 3, // last 3 days
+  "15m": 7, // last 7 days
+  "30m": 14, // last 14 days
+  "1h": 30, // last 30 days
+  "4h": 90, // last 90 days
+  "1d": 365, // last 1 year
+  "1M": 1825, // last 5 years
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_LIMIT = 500;
+
+// Numeric market_data fields copied onto each candle
+const CANDLE_FIELDS = [
+  "open",
+  "high",
+  "low",
+  "close",
+  "base_volume",
+  "base_volume_buy",
+  "base_volume_sell",
+  "counter_volume",
+  "counter_volume_buy",
+  "counter_volume_sell",
+  "exchanges",
+  "unique_buyers",
+  "unique_sellers",
+];
+
+// Cached setup promise so the indexes are only created once per process
+let candleCollectionReady = null;
+
+function ensureCandleCollection(db) {
+  if (candleCollectionReady) {
+    return candleCollectionReady;
+  }
+
+  candleCollectionReady = (async () => {
+    const collection = db.collection(CANDLES_COLLECTION_NAME);
+    await collection.createIndex({ coinId: 1, interval: 1, timestamp: 1 }, { unique: true });
+    // Each candle carries its own expiry so retention follows INTERVAL_HISTORY_DAYS
+    await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    return collection;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  candleCollectionReady.catch(() => {
+    candleCollectionReady = null;
+  });
+  return candleCollectionReady;
+}
+
+// Function to compute when a candle of this interval leaves the history window
+function getExpiry(interval, timestamp) {
+  const historyDays = INTERVAL_HISTORY_DAYS[interval] || 30;
+  return new Date(timestamp.getTime() + historyDays * DAY_MS);
+}
+
+// Function to upsert candles; re-storing an existing candle replaces its values
+async function storeCandles(db, coinId, interval, candles) {
+  if (candles.length === 0) {
+    return 0;
+  }
+  const collection = await ensureCandleCollection(db);
+
+  const operations = candles.map((candle) => {
+    const timestamp = new Date(candle.timestamp);
+    const fields = { expireAt: getExpiry(interval, timestamp), updatedAt: new Date() };
+    for (const field of CANDLE_FIELDS) {
+      if (candle[field] !== undefined && candle[field] !== null) {
+        fields[field] = Number(candle[field]);
+      }
+    }
+    return {
+      updateOne: {
+        filter: { coinId, interval, timestamp },
+        update: { $set: fields },
+        upsert: true,
+      },
+    };
+  });
+
+  await collection.bulkWrite(operations, { ordered: false });
+  return operations.length;
+}
+
+// Function to read the newest stored candle for a coin and interval
+async function getLastCandle(db, coinId, interval) {
+  const collection = await ensureCandleCollection(db);
+  return collection.findOne({ coinId, interval }, { sort: { timestamp: -1 } });
+}
+
+// Function to read stored candles in ascending order
+async function getCandles(db, coinId, interval, { from, to, limit } = {}) {
+  const collection = await ensureCandleCollection(db);
+  const query = { coinId, interval };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+  const cursor = collection.find(query, { projection: { _id: 0, expireAt: 0 } });
+  if (limit) {
+    // The newest `limit` candles, still returned oldest first
+    const newest = await cursor.sort({ timestamp: -1 }).limit(limit).toArray();
+    return newest.reverse();
+  }
+  return cursor.sort({ timestamp: 1 }).toArray();
+}
+
+// Function to download any missing candles for one coin and interval.
+// Resumes from the last stored candle (re-fetching it, since it may have been open) or
+// from the start of the history window. Each page is stored as it arrives.
+async function backfillCandles(db, token, interval, { base, counter = "XRP", end = new Date() } = {}) {
+  const historyStart = new Date(end.getTime() - (INTERVAL_HISTORY_DAYS[interval] || 30) * DAY_MS);
+  const lastCandle = await getLastCandle(db, token._id, interval);
+  const start =
+    lastCandle && lastCandle.timestamp > historyStart ? lastCandle.timestamp : historyStart;
+
+  const formatDate = (date) => date.toISOString().split(".")[0] + "Z";
+  let skip = 0;
+  let stored = 0;
+
+  for (;;) {
+    const data = await getXrplfClient().marketData(base, counter, {
+      interval,
+      start: formatDate(start),
+      end: formatDate(end),
+      exclude_amm: false,
+      descending: false,
+      skip,
+      limit: PAGE_LIMIT,
+    });
+    if (!Array.isArray(data) || data.length === 0) {
+      break;
+    }
+
+    stored += await storeCandles(db, token._id, interval, data);
+    skip += data.length;
+
+    // Fewer entries than the limit means we've reached the end
+    if (data.length < PAGE_LIMIT) {
+      break;
+    }
+  }
+
+  return { interval, start, stored };
+}
+
+module.exports = {
+  CANDLES_COLLECTION_NAME,
+  INTERVALS,
+  INTERVAL_HISTORY_DAYS,
+  ensureCandleCollection,
+  storeCandles,
+  getLastCandle,
+  getCandles,
+  backfillCandles,
+};
@@ -1,5 +1,6 @@
 const { MongoClient } = require("mongodb");
 const xrpl = require("xrpl");
+const { encodeCurrencyCode, currencyCodeVariants } = require("../lib/currencyCode");
 
 // Use environment variables for sensitive data
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
@@ -67,11 +68,13 @@ async function fetchTokenSupply(client, issuer, currencyCode) {
       strict: true,
     });
 
+    // Obligations are keyed by the wire-format currency code
+    const wireCode = encodeCurrencyCode(currencyCode);
     if (
       response.result.obligations &&
-      response.result.obligations[currencyCode]
+      response.result.obligations[wireCode]
     ) {
-      return response.result.obligations[currencyCode];
+      return response.result.obligations[wireCode];
     }
     return "Not available";
   } catch (error) {
@@ -142,7 +145,8 @@ async function fetchDataFromDB() {
             if (parseFloat(line.balance) !== 0) {
               const farmToken = await farmTokensCollection.findOne({
                 issuer: line.account,
-                currencyCode: line.currency,
+                // Farm tokens may be stored with either the hex or the display code
+                currencyCode: { $in: currencyCodeVariants(line.currency) },
               });
 
               if (farmToken) {
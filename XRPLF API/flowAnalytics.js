@@ -0,0 +1,159 @@
+// Buy/sell flow and trader analytics
+// Derives net buy pressure and buyer/seller ratios over 1h, 24h and 7d from the stored
+// candles (which keep the buy/sell volume and unique trader series), adds new versus
+// returning AMM traders from amm_trades, and stores the result as `flow` on each coin.
+// Sorting the token list by flow.<window>.netBuyVolume gives the most bought / most sold boards.
+
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { getCandles } = require("./candles");
+const { getConnectionPool } = require("../Rippled API/RippledupdateMCAP");
+const { getTraderCounts, updateCoinTrades } = require("../Rippled API/ammTrades");
+
+const FLOW_UPDATE_INTERVAL_MS =
+  parseInt(process.env.FLOW_UPDATE_INTERVAL_MS) || 15 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each window is summed from the finest candles still kept for its whole length
+const FLOW_WINDOWS = {
+  "1h": { ms: HOUR_MS, interval: "1m" },
+  "24h": { ms: 24 * HOUR_MS, interval: "1h" },
+  "7d": { ms: 7 * 24 * HOUR_MS, interval: "1h" },
+};
+
+// Function to sum buy/sell flow over candles.
+// counter_* volumes are in XRP, base_* in tokens. Unique buyer and seller counts are per
+// candle, so their sums over-count traders active in several candles; the ratio is still
+// comparable between coins.
+function computeFlow(candles) {
+  const totals = {
+    buyVolume: 0,
+    sellVolume: 0,
+    baseBuyVolume: 0,
+    baseSellVolume: 0,
+    uniqueBuyers: 0,
+    uniqueSellers: 0,
+    exchanges: 0,
+  };
+  for (const candle of candles) {
+    totals.buyVolume += candle.counter_volume_buy || 0;
+    totals.sellVolume += candle.counter_volume_sell || 0;
+    totals.baseBuyVolume += candle.base_volume_buy || 0;
+    totals.baseSellVolume += candle.base_volume_sell || 0;
+    totals.uniqueBuyers += candle.unique_buyers || 0;
+    totals.uniqueSellers += candle.unique_sellers || 0;
+    totals.exchanges += candle.exchanges || 0;
+  }
+
+  const traded = totals.buyVolume + totals.sellVolume;
+  const netBuyVolume = totals.buyVolume - totals.sellVolume;
+  return {
+    ...totals,
+    netBuyVolume,
+    // -100 (all selling) to 100 (all buying)
+    netBuyPressure: traded > 0 ? (netBuyVolume / traded) * 100 : 0,
+    buyerSellerRatio: totals.uniqueSellers > 0 ? totals.uniqueBuyers / totals.uniqueSellers : null,
+    candles: candles.length,
+  };
+}
+
+// Function to compute every flow window for one coin
+async function computeCoinFlow(db, token, now = new Date()) {
+  const flow = {};
+  for (const [name, { ms, interval }] of Object.entries(FLOW_WINDOWS)) {
+    const from = new Date(now.getTime() - ms);
+    const candles = await getCandles(db, token._id, interval, { from, to: now });
+    flow[name] = {
+      ...computeFlow(candles),
+      traders: await getTraderCounts(db, token._id, from),
+    };
+  }
+  flow.updatedAt = now;
+  return flow;
+}
+
+// Function to read a coin's flow series from its candles, for charts
+async function getFlowSeries(db, coinId, { interval = "1h", from, to, limit } = {}) {
+  const candles = await getCandles(db, coinId, interval, { from, to, limit });
+  return candles.map((candle) => ({
+    timestamp: candle.timestamp,
+    buyVolume: candle.counter_volume_buy || 0,
+    sellVolume: candle.counter_volume_sell || 0,
+    netBuyVolume: (candle.counter_volume_buy || 0) - (candle.counter_volume_sell || 0),
+    uniqueBuyers: candle.unique_buyers || 0,
+    uniqueSellers: candle.unique_sellers || 0,
+  }));
+}
+
+// Function to read new AMM swaps and refresh the flow of every coin
+async function updateFlowAnalytics() {
+  const uniqueLabel = `Flow analytics update ${Date.now()}`;
+  console.time(uniqueLabel);
+  try {
+    const { db } = await connectToDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+    const tokens = await collection
+      .find(
+        { issuer: { $exists: true }, currencyCode: { $exists: true } },
+        {
+          projection: {
+            symbol: 1,
+            issuer: 1,
+            currencyCode: 1,
+            ammAddress: 1,
+            ammTradesLedgerIndex: 1,
+          },
+        }
+      )
+      .toArray();
+
+    const pool = getConnectionPool();
+    let updatedCount = 0;
+    for (const token of tokens) {
+      try {
+        if (token.ammAddress) {
+          await updateCoinTrades(db, pool, collection, token);
+        }
+        const flow = await computeCoinFlow(db, token);
+        await collection.updateOne({ _id: token._id }, { $set: { flow } });
+        updatedCount++;
+        console.log(
+          `${token.symbol}: 24h net buy ${flow["24h"].netBuyVolume.toFixed(2)} XRP (${flow[
+            "24h"
+          ].netBuyPressure.toFixed(1)}%), ${flow["24h"].traders.new} new / ${
+            flow["24h"].traders.returning
+          } returning AMM traders`
+        );
+      } catch (error) {
+        console.error(`Error updating flow for ${token.symbol}:`, error.message);
+      }
+    }
+    console.log(`Updated flow for ${updatedCount} of ${tokens.length} tokens`);
+  } catch (error) {
+    console.error("Error during flow analytics update:", error);
+  } finally {
+    console.timeEnd(uniqueLabel);
+  }
+}
+
+module.exports = {
+  FLOW_WINDOWS,
+  computeFlow,
+  computeCoinFlow,
+  getFlowSeries,
+  updateFlowAnalytics,
+};
+
+// Main function: refresh now, then on every interval
+async function main() {
+  console.log("Starting flow analytics...");
+  for (;;) {
+    await updateFlowAnalytics();
+    await new Promise((resolve) => setTimeout(resolve, FLOW_UPDATE_INTERVAL_MS));
+  }
+}
+
+// Run the main function if this file is being run directly
+if (require.main === module) {
+  main();
+}
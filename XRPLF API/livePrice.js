@@ -1,31 +1,37 @@
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-const { MongoClient } = require('mongodb');
-
-// MongoDB connection details
-const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
-const DB_NAME = process.env.DB_NAME || "xrpFun";
-const COLLECTION_NAME = process.env.COLLECTION_NAME || "coins";
+const { connectToDatabase, closeDatabase, COLLECTION_NAME } = require('../lib/db');
+const { getXrplfClient } = require('../lib/xrplfClient');
+const { encodeCurrencyCode, isValidCurrencyCode, toXrplfBase } = require('../lib/currencyCode');
+const { evaluateKingOfTheHill, recordKingOfTheHillEvent } = require('../lib/kingOfTheHill');
+const { applyPriceCandidate } = require('../lib/priceOracle');
 
 async function updateMarketData() {
-  const client = new MongoClient(MONGODB_URI);
-
   try {
-    await client.connect();
-    const db = client.db(DB_NAME);
+    const { db } = await connectToDatabase();
     const collection = db.collection(COLLECTION_NAME);
 
     // Fetch all tokens from the database
     const tokens = await collection.find({}).toArray();
 
-    // Fetch data from XRPLF API
-    const response = await fetch('https://data.xrplf.org/v1/iou/ticker_data/all?interval=1m&only_amm=false');
-    const data = await response.json();
+    // Fetch data from XRPLF API: the 1m ticker for the latest price, the 24h ticker for the
+    // volume the oracle weighs it by
+    const data = await getXrplfClient().tickerData('all', { interval: '1m', only_amm: false });
+    const dailyData = await getXrplfClient().tickerData('all', { interval: '24h', only_amm: false });
+    const dailyVolumes = new Map(
+      dailyData
+        .filter(item => item.counter === 'XRP')
+        .map(item => [item.base, Number(item.counter_volume) || 0])
+    );
 
     console.log(`Fetched ${data.length} items from XRPLF API`);
 
     for (const token of tokens) {
-      // Use currencyCode directly as it's already in hex
-      const baseIdentifier = `${token.issuer}_${token.currencyCode}`;
+      if (!token.issuer || !isValidCurrencyCode(token.currencyCode)) {
+        console.warn(`Skipping ${token.symbol}: invalid issuer or currency code "${token.currencyCode}"`);
+        continue;
+      }
+      // XRPLF identifies tokens by issuer and wire-format currency code
+      const currencyCode = encodeCurrencyCode(token.currencyCode);
+      const baseIdentifier = toXrplfBase(token.issuer, currencyCode);
 
       console.log(`Searching for token: ${token.symbol}`);
       console.log(`Base identifier: ${baseIdentifier}`);
@@ -39,13 +45,19 @@ async function updateMarketData() {
         console.log("Full market data object found:");
         console.log(JSON.stringify(marketData, null, 2));
 
-        const xrpPrice = marketData.last;
-        const marketCap = xrpPrice * parseFloat(token.totalSupply);
+        // Record the ticker price with the oracle, which picks the canonical price
+        const { updateFields: priceFields, resolved } = applyPriceCandidate(token, "xrplf_ticker", {
+          price: marketData.last,
+          timestamp: marketData.date_to,
+          // XRP traded over the last 24h
+          weight: dailyVolumes.get(baseIdentifier) || 0
+        });
+        const xrpPrice = priceFields.xrpPrice;
+        const marketCap = priceFields.marketCap;
 
         // Prepare update object
         const updateFields = {
-          xrpPrice,
-          marketCap,
+          ...priceFields,
           lastUpdated: new Date(),
           base_volume: marketData.base_volume,
           base_volume_buy: marketData.base_volume_buy,
@@ -64,11 +76,11 @@ async function updateMarketData() {
         };
 
         // Check for "King of the Hill" status
-        if (marketCap >= 58900 && !token.kingOfTheHill) {
-          updateFields.kingOfTheHill = {
-            label: "King of the hill",
-            timestamp: new Date()
-          };
+        const kingOfTheHill = resolved
+          ? await evaluateKingOfTheHill(db, token, { marketCap }, resolved.source)
+          : undefined;
+        if (kingOfTheHill !== undefined) {
+          updateFields.kingOfTheHill = kingOfTheHill.value;
         }
 
         // Update the token in the database
@@ -76,8 +88,11 @@ async function updateMarketData() {
           { _id: token._id },
           { $set: updateFields }
         );
+        if (kingOfTheHill !== undefined) {
+          await recordKingOfTheHillEvent(db, kingOfTheHill.event);
+        }
 
-        console.log(`Updated ${token.symbol}: Price=${xrpPrice} XRP, Market Cap=${marketCap} XRP`);
+        console.log(`Updated ${token.symbol}: Price=${xrpPrice} XRP, Market Cap=${marketCap} XRP (source: ${resolved ? resolved.source : 'none'})`);
       } else {
         console.log(`No XRP market data found for ${token.symbol} (${baseIdentifier})`);
         
@@ -92,7 +107,7 @@ async function updateMarketData() {
 
         // Check if there's any close match with XRP as counter
         const closeMatches = data.filter(item => 
-          (item.base.includes(token.issuer) || item.base.includes(token.currencyCode)) && item.counter === "XRP"
+          (item.base.includes(token.issuer) || item.base.includes(currencyCode)) && item.counter === "XRP"
         );
         if (closeMatches.length > 0) {
           console.log("Close matches found with XRP as counter:");
@@ -105,7 +120,7 @@ async function updateMarketData() {
   } catch (error) {
     console.error("Error updating market data:", error);
   } finally {
-    await client.close();
+    await closeDatabase();
   }
 }
 
@@ -2,301 +2,125 @@
 // GET
 // Updates the prices and market caps of all tokens
 
-const { MongoClient, ObjectId } = require("mongodb");
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
-const Bottleneck = require('bottleneck'); // For better rate limiting control
-const { SocksProxyAgent } = require('socks-proxy-agent'); // For Tor proxy
-
-// Use environment variables for sensitive data
-const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
-const DB_NAME = process.env.DB_NAME || "xrpFun";
-const COLLECTION_NAME = process.env.COLLECTION_NAME || "coins";
-
-// Tor SOCKS5 proxy configuration
-const TOR_PROXY = 'socks5://127.0.0.1:9150';
-const torAgent = new SocksProxyAgent(TOR_PROXY);
-
-// Create a cached database connection
-let cachedClient = null;
-let cachedDb = null;
-
-async function connectToDatabase() {
-  if (cachedClient && cachedDb) {
-    return { client: cachedClient, db: cachedDb };
-  }
-
-  const client = await MongoClient.connect(MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  });
-
-  const db = client.db(DB_NAME);
-  cachedClient = client;
-  cachedDb = db;
-
-  return { client, db };
-}
-
-// Rate Limiting State
-let rateLimit = {
-  limit: 600,          // Default limit
-  remaining: 600,      // Default remaining
-  reset: Date.now() + 60 * 1000, // Default reset time (1 minute from now)
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { getXrplfClient } = require("../lib/xrplfClient");
+const { isValidCurrencyCode, toXrplfBase } = require("../lib/currencyCode");
+const {
+  evaluateKingOfTheHill,
+  bulkWriteWithKingOfTheHillEvents,
+} = require("../lib/kingOfTheHill");
+const { applyPriceCandidate } = require("../lib/priceOracle");
+
+// Shared XRPLF client; requests take the egress route configured by EGRESS_PROXIES and the
+// rate budget is shared with the other updaters
+const xrplfClient = getXrplfClient();
+
+// Fields each token update needs
+const TOKEN_UPDATE_PROJECTION = {
+  symbol: 1,
+  issuer: 1,
+  currencyCode: 1,
+  totalSupply: 1,
+  supply: 1,
+  kingOfTheHill: 1,
+  aggregatedLiquidity: 1,
+  totalLiquidity: 1,
+  volume24h: 1,
+  priceSources: 1,
 };
 
-// Helper function to wait for a specified number of milliseconds
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Initialize Bottleneck limiter with default settings
-const limiter = new Bottleneck({
-  reservoir: rateLimit.remaining, // initial number of requests
-  reservoirRefreshAmount: rateLimit.limit,
-  reservoirRefreshInterval: 60 * 1000, // 1 minute
-  maxConcurrent: 10, // Increased concurrency
-  minTime: 100, // Decreased minimum time between requests to 100ms
-});
-
-// Function to update rate limit state based on response headers
-function updateRateLimit(headers) {
-  const limit = parseInt(headers.get('X-Ratelimit-Limit'));
-  const remaining = parseInt(headers.get('X-Ratelimit-Remaining'));
-  const reset = parseInt(headers.get('X-Ratelimit-Reset')); // Assuming reset is in seconds
-
-  let updated = false;
-
-  if (!isNaN(limit)) {
-    rateLimit.limit = limit;
-    updated = true;
-  }
-  if (!isNaN(remaining)) {
-    rateLimit.remaining = remaining;
-    updated = true;
-  }
-  if (!isNaN(reset)) {
-    rateLimit.reset = Date.now() + reset * 1000;
-    updated = true;
-  }
-
-  if (updated) {
-    const refreshInterval = rateLimit.reset - Date.now();
-    limiter.updateSettings({
-      reservoir: rateLimit.remaining,
-      reservoirRefreshAmount: rateLimit.limit,
-      reservoirRefreshInterval: refreshInterval > 0 ? refreshInterval : 60 * 1000, // Fallback to 1 minute
-    });
-
-    console.log(`Rate Limit Updated: Limit=${rateLimit.limit}, Remaining=${rateLimit.remaining}, Reset in=${Math.ceil((rateLimit.reset - Date.now()) / 1000)} seconds`);
-  }
-}
+// Function to fetch one token's latest daily candle and build its bulkWrite operation together
+// with any King of the Hill event to log once it is written.
+// Returns null when there is nothing to update.
+async function buildTokenUpdate(db, token) {
+  if (token.issuer && isValidCurrencyCode(token.currencyCode)) {
+    const base = toXrplfBase(token.issuer, token.currencyCode);
+    const counter = "XRP";
+    const endDate = new Date().toISOString().split('T')[0];
+    const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-// Modified fetchWithRetry to handle rate limiting using headers and implement exponential backoff
-async function fetchWithRetry(url, retries = 3, delayMs = 1000) {
-  for (let attempt = 0; attempt < retries; attempt++) {
     try {
-      const response = await fetch(url, { agent: torAgent });
-
-      // Update rate limit state based on response headers
-      updateRateLimit(response.headers);
+      const data = await xrplfClient.marketData(base, counter, {
+        interval: "1d",
+        start: `${startDate}T00:00:00Z`,
+        end: `${endDate}T23:59:59Z`,
+        only_amm: false,
+      });
 
-      if (response.status === 429) { // Too Many Requests
-        const retryAfter = response.headers.get('Retry-After');
-        const resetSeconds = parseInt(response.headers.get('X-Ratelimit-Reset'));
-        let waitTime;
+      if (data.length > 0) {
+        const latestData = data[data.length - 1];
+        const xrpPrice = latestData.close;
+
+        if (xrpPrice && (token.supply || token.totalSupply)) {
+          const { updateFields: priceFields, resolved } = applyPriceCandidate(token, "xrplf_market_data", {
+            price: xrpPrice,
+            timestamp: latestData.timestamp,
+            // XRP traded in the current daily candle
+            weight: latestData.counter_volume,
+          });
+          const updateFields = {
+            ...priceFields,
+            // When the coin was refreshed; the candle's own start time is dataTimestamp
+            lastUpdated: new Date(),
+            dataTimestamp: new Date(latestData.timestamp),
+            // Set all market data fields at the top level
+            base_volume: latestData.base_volume,
+            base_volume_buy: latestData.base_volume_buy,
+            base_volume_sell: latestData.base_volume_sell,
+            counter_volume: latestData.counter_volume,
+            counter_volume_buy: latestData.counter_volume_buy,
+            counter_volume_sell: latestData.counter_volume_sell,
+            open: latestData.open,
+            high: latestData.high,
+            low: latestData.low,
+            close: latestData.close,
+            exchanges: latestData.exchanges,
+            unique_buyers: latestData.unique_buyers,
+            unique_sellers: latestData.unique_sellers,
+            timestamp: latestData.timestamp,
+          };
+
+          // Add 'King of the hill' status if conditions are met
+          // No canonical price when no usable candidate remains
+          const kingOfTheHill = resolved
+            ? await evaluateKingOfTheHill(db, token, { marketCap: resolved.marketCap }, resolved.source)
+            : undefined;
+          if (kingOfTheHill !== undefined) {
+            updateFields.kingOfTheHill = kingOfTheHill.value;
+          }
 
-        if (retryAfter) {
-          waitTime = parseInt(retryAfter) * 1000;
-          console.warn(`Received 429. Retry-After header found. Retrying after ${waitTime / 1000} seconds.`);
-        } else if (!isNaN(resetSeconds)) {
-          waitTime = resetSeconds * 1000;
-          console.warn(`Received 429. X-Ratelimit-Reset found. Retrying after ${resetSeconds} seconds.`);
-        } else {
-          waitTime = delayMs;
-          console.warn(`Received 429. No specific retry time found. Retrying after ${waitTime / 1000} seconds.`);
+          return {
+            operation: {
+              updateOne: {
+                filter: { _id: token._id },
+                update: { $set: updateFields },
+              },
+            },
+            kingOfTheHillEvent: kingOfTheHill && kingOfTheHill.event,
+          };
         }
-
-        await wait(waitTime);
-        continue;
-      }
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
       }
-
-      // Decrement remaining count
-      if (rateLimit.remaining > 0) {
-        rateLimit.remaining -= 1;
-      }
-
-      return response;
     } catch (error) {
-      console.error(`Fetch attempt ${attempt + 1} failed:`, error);
-      if (attempt < retries - 1) {
-        const backoffTime = delayMs * Math.pow(2, attempt); // Exponential backoff
-        console.log(`Retrying in ${backoffTime} ms...`);
-        await wait(backoffTime);
-      } else {
-        throw error;
-      }
+      console.error(`Error fetching price for token ${token._id}:`, error);
     }
   }
+  return null;
 }
 
-// Function to handle rate limiting dynamically (if needed)
-async function handleRateLimiting() {
-  const now = Date.now();
-  if (rateLimit.remaining <= 0) {
-    const waitTime = rateLimit.reset - now;
-    if (waitTime > 0) {
-      console.warn(`Rate limit exceeded. Waiting for ${Math.ceil(waitTime / 1000)} seconds.`);
-      await wait(waitTime);
-    }
-    // Reset the reservoir after waiting
-    limiter.updateSettings({
-      reservoir: rateLimit.limit,
-      reservoirRefreshAmount: rateLimit.limit,
-      reservoirRefreshInterval: 60 * 1000, // 1 minute
-    });
+// Function to refresh a single token on demand (used by the API's background refresh queue)
+async function refreshToken(tokenId) {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(COLLECTION_NAME);
+  const token = await collection.findOne({ _id: tokenId }, { projection: TOKEN_UPDATE_PROJECTION });
+  if (!token) {
+    return false;
   }
-}
-
-// Function to fetch tokens with pagination, sorting, and field projection
-async function fetchTokens(request) {
-  try {
-    const { searchParams } = new URL(request.url);
-    const limit = parseInt(searchParams.get("limit")) || 50;
-    const page = parseInt(searchParams.get("page")) || 1;
-    const sort = searchParams.get("sort") || "upvotes";
-    const order = searchParams.get("order") === "asc" ? 1 : -1;
-
-    const { db } = await connectToDatabase();
-    const collection = db.collection(COLLECTION_NAME);
-
-    const skip = (page - 1) * limit;
-    const sortOption = { [sort]: order };
-
-    // Define the fields to be fetched
-    const projection = {
-      _id: 1,
-      name: 1,
-      symbol: 1,
-      image: 1,
-      totalSupply: 1,
-      description: 1,
-      date: 1,
-      creator: 1,
-      issuer: 1,
-      currencyCode: 1,
-      reactions: 1,
-      comment: 1,
-      md5: 1,
-      ammAddress: 1,
-      upvotes: 1,
-      downvotes: 1,
-      price: 1,
-      marketCap: 1,
-      lastUpdated: 1,
-      kingOfTheHill: 1,
-      // Include all market data fields at the top level
-      base_volume: 1,
-      base_volume_buy: 1,
-      base_volume_sell: 1,
-      counter_volume: 1,
-      counter_volume_buy: 1,
-      counter_volume_sell: 1,
-      open: 1,
-      high: 1,
-      low: 1,
-      close: 1,
-      exchanges: 1,
-      unique_buyers: 1,
-      unique_sellers: 1,
-      timestamp: 1,
-    };
-
-    // Fetch documents with pagination, sorting, and field projection
-    const [tokens, totalCount] = await Promise.all([
-      collection
-        .find({})
-        .project(projection)
-        .sort(sortOption)
-        .skip(skip)
-        .limit(limit)
-        .toArray(),
-      collection.countDocuments(),
-    ]);
-
-    const tokensWithPricesAndMarketCap = await Promise.all(
-      tokens.map(async (token) => {
-        let updatedToken = { ...token };
-        if (token.issuer && token.currencyCode) {
-          const base = `${token.issuer}_${token.currencyCode}`;
-          const counter = "XRP";
-          const endDate = new Date().toISOString().split('T')[0];
-          const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-          const url = `https://data.xrplf.org/v1/iou/market_data/${base}/${counter}?interval=1d&start=${startDate}T00:00:00Z&end=${endDate}T23:59:59Z&only_amm=false`;
-
-          try {
-            // Use the limiter to schedule requests
-            const response = await limiter.schedule(() => fetchWithRetry(url));
-            const data = await response.json();
-
-            if (data.length > 0) {
-              const latestData = data[data.length - 1];
-              updatedToken.xrpPrice = latestData.close;
-
-              // Calculate market cap
-              if (updatedToken.xrpPrice && updatedToken.totalSupply) {
-                updatedToken.marketCap = updatedToken.xrpPrice * updatedToken.totalSupply;
-                updatedToken.lastUpdated = new Date(latestData.timestamp);
-
-                // Update the database with the new market cap and last updated time
-                await collection.updateOne(
-                  { _id: new ObjectId(token._id) },
-                  {
-                    $set: {
-                      marketCap: updatedToken.marketCap,
-                      lastUpdated: updatedToken.lastUpdated,
-                      xrpPrice: updatedToken.xrpPrice,
-                      // Set all market data fields at the top level
-                      base_volume: latestData.base_volume,
-                      base_volume_buy: latestData.base_volume_buy,
-                      base_volume_sell: latestData.base_volume_sell,
-                      counter_volume: latestData.counter_volume,
-                      counter_volume_buy: latestData.counter_volume_buy,
-                      counter_volume_sell: latestData.counter_volume_sell,
-                      open: latestData.open,
-                      high: latestData.high,
-                      low: latestData.low,
-                      close: latestData.close,
-                      exchanges: latestData.exchanges,
-                      unique_buyers: latestData.unique_buyers,
-                      unique_sellers: latestData.unique_sellers,
-                      timestamp: latestData.timestamp,
-                    },
-                  }
-                );
-              }
-            }
-          } catch (error) {
-            console.error(`Error fetching price for ${token.symbol}:`, error);
-          }
-        }
-        return updatedToken;
-      })
-    );
-
-    return {
-      tokens: tokensWithPricesAndMarketCap,
-      totalCount,
-      currentPage: page,
-      totalPages: Math.ceil(totalCount / limit),
-    };
-  } catch (error) {
-    console.error("Error fetching tokens:", error);
-    return { error: "Internal Server Error" };
+  const update = await buildTokenUpdate(db, token);
+  if (!update) {
+    return false;
   }
+  await bulkWriteWithKingOfTheHillEvents(db, collection, [update]);
+  return true;
 }
 
 // Function for periodic updates to improve performance
@@ -308,7 +132,7 @@ async function updatePricesAndMarketCaps() {
     const collection = db.collection(COLLECTION_NAME);
 
     // Fetch tokens with necessary fields
-    const tokens = await collection.find({}, { projection: { issuer: 1, currencyCode: 1, totalSupply: 1, kingOfTheHill: 1 } }).toArray();
+    const tokens = await collection.find({}, { projection: TOKEN_UPDATE_PROJECTION }).toArray();
     
     console.log(`Starting update for ${tokens.length} tokens`);
 
@@ -317,75 +141,12 @@ async function updatePricesAndMarketCaps() {
 
     for (let i = 0; i < batches; i++) {
       const batchTokens = tokens.slice(i * batchSize, (i + 1) * batchSize);
-      const updatePromises = batchTokens.map(async (token) => {
-        if (token.issuer && token.currencyCode) {
-          const base = `${token.issuer}_${token.currencyCode}`;
-          const counter = "XRP";
-          const endDate = new Date().toISOString().split('T')[0];
-          const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-          const url = `https://data.xrplf.org/v1/iou/market_data/${base}/${counter}?interval=1d&start=${startDate}T00:00:00Z&end=${endDate}T23:59:59Z&only_amm=false`;
-
-          try {
-            // Use the limiter to schedule requests
-            const response = await limiter.schedule(() => fetchWithRetry(url));
-            const data = await response.json();
-
-            if (data.length > 0) {
-              const latestData = data[data.length - 1];
-              const xrpPrice = latestData.close;
-
-              if (xrpPrice && token.totalSupply) {
-                const marketCap = xrpPrice * token.totalSupply;
-                const lastUpdated = new Date(latestData.timestamp);
-
-                const updateFields = {
-                  marketCap,
-                  lastUpdated,
-                  xrpPrice,
-                  // Set all market data fields at the top level
-                  base_volume: latestData.base_volume,
-                  base_volume_buy: latestData.base_volume_buy,
-                  base_volume_sell: latestData.base_volume_sell,
-                  counter_volume: latestData.counter_volume,
-                  counter_volume_buy: latestData.counter_volume_buy,
-                  counter_volume_sell: latestData.counter_volume_sell,
-                  open: latestData.open,
-                  high: latestData.high,
-                  low: latestData.low,
-                  close: latestData.close,
-                  exchanges: latestData.exchanges,
-                  unique_buyers: latestData.unique_buyers,
-                  unique_sellers: latestData.unique_sellers,
-                  timestamp: latestData.timestamp,
-                };
-
-                // Add 'King of the hill' status if conditions are met
-                if (marketCap >= 58900 && !token.kingOfTheHill) {
-                  updateFields.kingOfTheHill = {
-                    label: "King of the hill",
-                    timestamp: new Date(),
-                  };
-                }
-
-                return {
-                  updateOne: {
-                    filter: { _id: token._id },
-                    update: { $set: updateFields },
-                  },
-                };
-              }
-            }
-          } catch (error) {
-            console.error(`Error fetching price for token ${token._id}:`, error);
-          }
-        }
-        return null;
-      });
+      const updatePromises = batchTokens.map((token) => buildTokenUpdate(db, token));
 
       const updates = (await Promise.all(updatePromises)).filter(Boolean);
 
       if (updates.length > 0) {
-        await collection.bulkWrite(updates);
+        await bulkWriteWithKingOfTheHillEvents(db, collection, updates);
       }
 
       console.log(`Processed batch ${i + 1} of ${batches}`);
@@ -404,15 +165,12 @@ async function updatePricesAndMarketCaps() {
 // Export the functions
 module.exports = {
   updatePricesAndMarketCaps,
-  fetchTokens,
+  refreshToken,
 };
 
 // Main function to include more detailed logging and prevent overlapping runs
 async function main() {
   try {
-    // Ensure fetch is available before starting the update loop
-    await fetch;
-    
     console.log("Starting initial update...");
     await updatePricesAndMarketCaps();
     console.log("Initial update completed successfully");
@@ -0,0 +1,194 @@
+// Daily volume history
+// One document per coin and UTC day in the volume_daily collection, backfilled from XRPLF
+// volume_data. Rolling windows, period-over-period changes and the trending score are derived
+// from the stored days instead of a fresh 7-day request.
+
+const VOLUME_DAILY_COLLECTION_NAME =
+  process.env.VOLUME_DAILY_COLLECTION_NAME || "volume_daily";
+// Days kept and backfilled; two 90 day periods are needed for the 90d change
+const VOLUME_HISTORY_DAYS = parseInt(process.env.VOLUME_HISTORY_DAYS) || 180;
+
+// Rolling windows in days
+const VOLUME_WINDOWS = { "24h": 1, "7d": 7, "30d": 30, "90d": 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cached setup promise so the indexes are only created once per process
+let volumeCollectionReady = null;
+
+function ensureVolumeCollection(db) {
+  if (volumeCollectionReady) {
+    return volumeCollectionReady;
+  }
+
+  volumeCollectionReady = (async () => {
+    const collection = db.collection(VOLUME_DAILY_COLLECTION_NAME);
+    await collection.createIndex({ coinId: 1, date: 1 }, { unique: true });
+    await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    return collection;
+  })();
+
+  // Allow a retry on the next call if setup failed
+  volumeCollectionReady.catch(() => {
+    volumeCollectionReady = null;
+  });
+  return volumeCollectionReady;
+}
+
+// Function to floor a time to the start of its UTC day
+function startOfDay(time) {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function toCount(value) {
+  const number = Number(value);
+  return isNaN(number) ? 0 : number;
+}
+
+// Function to upsert 1d volume_data entries; re-storing a day (e.g. today's partial day)
+// replaces its values
+async function storeDailyVolumes(db, token, entries) {
+  if (entries.length === 0) {
+    return 0;
+  }
+  const collection = await ensureVolumeCollection(db);
+
+  const operations = entries.map((entry) => {
+    const date = startOfDay(entry.timestamp);
+    return {
+      updateOne: {
+        filter: { coinId: token._id, date },
+        update: {
+          $set: {
+            symbol: token.symbol,
+            volume: toCount(entry.volume),
+            exchanges: toCount(entry.exchanges),
+            distinctPairs: toCount(entry.distinct_pairs),
+            expireAt: new Date(date.getTime() + VOLUME_HISTORY_DAYS * DAY_MS),
+            updatedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  await collection.bulkWrite(operations, { ordered: false });
+  return operations.length;
+}
+
+// Function to read a coin's daily volumes in date order
+async function getDailyVolumes(db, coinId, { from, to } = {}) {
+  const collection = await ensureVolumeCollection(db);
+  const query = { coinId };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = startOfDay(from);
+    if (to) query.date.$lte = new Date(to);
+  }
+  return collection
+    .find(query, { projection: { _id: 0, coinId: 0, expireAt: 0 } })
+    .sort({ date: 1 })
+    .toArray();
+}
+
+// Function to find where the next backfill should start: the last stored day (so the partial
+// day is refreshed), or the start of the history window
+async function getBackfillStart(db, coinId, now = new Date()) {
+  const collection = await ensureVolumeCollection(db);
+  const historyStart = startOfDay(now.getTime() - VOLUME_HISTORY_DAYS * DAY_MS);
+  const last = await collection.findOne({ coinId }, { sort: { date: -1 } });
+  return last && last.date > historyStart ? last.date : historyStart;
+}
+
+// Function to sum the days in [start, end)
+function sumDays(days, start, end) {
+  const totals = { volume: 0, exchanges: 0, distinctPairs: 0 };
+  for (const day of days) {
+    const time = new Date(day.date).getTime();
+    if (time >= start && time < end) {
+      totals.volume += day.volume;
+      totals.exchanges += day.exchanges;
+      totals.distinctPairs += day.distinctPairs;
+    }
+  }
+  return totals;
+}
+
+// Function to derive rolling windows and period-over-period changes from daily volumes.
+// A window of N days ends with the current (partial) UTC day, matching how volume24h has
+// always been the latest 1d bucket. Comparisons would understate that partial day, so changes
+// and `completeWindows` use the N completed days before today instead; each change compares
+// them to the N days before that. Days missing from volume_data count as zero volume.
+function computeVolumeWindows(days, now = new Date()) {
+  const today = startOfDay(now).getTime();
+  const earliest = Math.min(...days.map((day) => new Date(day.date).getTime()));
+  const windows = {};
+  const completeWindows = {};
+  const changes = {};
+
+  for (const [name, length] of Object.entries(VOLUME_WINDOWS)) {
+    const completeStart = today - length * DAY_MS;
+    const previousStart = completeStart - length * DAY_MS;
+    windows[name] = sumDays(days, today + DAY_MS - length * DAY_MS, today + DAY_MS);
+    const current = sumDays(days, completeStart, today);
+    const previous = sumDays(days, previousStart, completeStart);
+    completeWindows[name] = current;
+    // No change until the history covers the whole previous window
+    changes[name] =
+      earliest <= previousStart && previous.volume > 0
+        ? ((current.volume - previous.volume) / previous.volume) * 100
+        : null;
+  }
+
+  return { windows, completeWindows, changes };
+}
+
+// Function to score volume acceleration from completed-day windows: how far the last day runs
+// ahead of the 7d daily average and the last 7 days ahead of the 30d weekly average (log
+// ratios, +1 smoothing so coins without a baseline do not divide by zero), weighted by the size
+// of the last day so a jump from 1 to 10 XRP does not outrank an established coin doubling.
+function computeTrendingScore(windows) {
+  const dayAcceleration = Math.log(
+    (windows["24h"].volume + 1) / (windows["7d"].volume / 7 + 1)
+  );
+  const weekAcceleration = Math.log(
+    (windows["7d"].volume + 1) / ((windows["30d"].volume / 30) * 7 + 1)
+  );
+  const score =
+    (0.6 * dayAcceleration + 0.4 * weekAcceleration) * Math.log10(windows["24h"].volume + 1);
+  return Math.round(score * 1000) / 1000;
+}
+
+// Function to build the coin fields for the token list from daily volumes
+function buildVolumeFields(days, now = new Date()) {
+  const { windows, completeWindows, changes } = computeVolumeWindows(days, now);
+  return {
+    volume24h: windows["24h"].volume,
+    exchanges24h: windows["24h"].exchanges,
+    distinctPairs24h: windows["24h"].distinctPairs,
+    volume7d: windows["7d"].volume,
+    exchanges7d: windows["7d"].exchanges,
+    distinctPairs7d: windows["7d"].distinctPairs,
+    volume30d: windows["30d"].volume,
+    volume90d: windows["90d"].volume,
+    // Percent change of the completed days against the previous window of the same length
+    volumeChange: changes,
+    trendingScore: computeTrendingScore(completeWindows),
+    volumeUpdatedAt: now,
+  };
+}
+
+module.exports = {
+  VOLUME_DAILY_COLLECTION_NAME,
+  VOLUME_HISTORY_DAYS,
+  VOLUME_WINDOWS,
+  ensureVolumeCollection,
+  storeDailyVolumes,
+  getDailyVolumes,
+  getBackfillStart,
+  computeVolumeWindows,
+  computeTrendingScore,
+  buildVolumeFields,
+};
@@ -0,0 +1,94 @@
+// Buy/sell flow endpoints
+// Per-coin flow (windows plus the candle series) and most bought / most sold leaderboards.
+
+const { ObjectId } = require("mongodb");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { FLOW_WINDOWS, getFlowSeries } = require("../XRPLF API/flowAnalytics");
+
+const DEFAULT_LEADERBOARD_LIMIT = 20;
+const MAX_LEADERBOARD_LIMIT = 100;
+const MAX_SERIES_LIMIT = 1000;
+const SERIES_INTERVALS = ["1m", "5m", "15m", "30m", "1h", "4h", "1d"];
+
+// Function to build an error the HTTP layer reports as 400 Bad Request
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Function to parse an optional date parameter, rejecting anything that is not a date
+function parseDateParam(name, value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name} "${value}". Expected an ISO date`);
+  }
+  return date;
+}
+
+// Function to read one coin's flow windows and its flow series.
+// Returns null when the coin does not exist.
+async function getTokenFlow(id, { interval = "1h", from, to, limit } = {}) {
+  if (!ObjectId.isValid(id)) {
+    return null;
+  }
+  if (!SERIES_INTERVALS.includes(interval)) {
+    throw badRequest(`Invalid interval "${interval}". Allowed: ${SERIES_INTERVALS.join(", ")}`);
+  }
+
+  const seriesLimit = parseInt(limit) > 0 ? Math.min(parseInt(limit), MAX_SERIES_LIMIT) : undefined;
+  const fromDate = parseDateParam("from", from);
+  const toDate = parseDateParam("to", to);
+
+  const { db } = await connectToDatabase();
+  const token = await db
+    .collection(COLLECTION_NAME)
+    .findOne({ _id: new ObjectId(id) }, { projection: { symbol: 1, issuer: 1, flow: 1 } });
+  if (!token) {
+    return null;
+  }
+
+  const series = await getFlowSeries(db, token._id, {
+    interval,
+    from: fromDate || new Date(Date.now() - 24 * 60 * 60 * 1000),
+    to: toDate,
+    limit: seriesLimit,
+  });
+  return { ...token, series };
+}
+
+// Function to rank coins by net buy volume over a window: "bought" is largest net buying first,
+// "sold" largest net selling first
+async function getFlowLeaderboard({ window = "24h", side = "bought", limit } = {}) {
+  if (!FLOW_WINDOWS[window]) {
+    const allowed = Object.keys(FLOW_WINDOWS).join(", ");
+    throw badRequest(`Invalid window "${window}". Allowed: ${allowed}`);
+  }
+  if (side !== "bought" && side !== "sold") {
+    throw badRequest(`Invalid side "${side}". Allowed: bought, sold`);
+  }
+  const count = Math.max(
+    Math.min(parseInt(limit) || DEFAULT_LEADERBOARD_LIMIT, MAX_LEADERBOARD_LIMIT),
+    1
+  );
+  const field = `flow.${window}.netBuyVolume`;
+
+  const { db } = await connectToDatabase();
+  const tokens = await db
+    .collection(COLLECTION_NAME)
+    .find({ [field]: side === "bought" ? { $gt: 0 } : { $lt: 0 } })
+    .project({ symbol: 1, name: 1, issuer: 1, currencyCode: 1, image: 1, [`flow.${window}`]: 1 })
+    .sort({ [field]: side === "bought" ? -1 : 1, _id: 1 })
+    .limit(count)
+    .toArray();
+
+  return { window, side, tokens };
+}
+
+module.exports = {
+  getTokenFlow,
+  getFlowLeaderboard,
+};
@@ -0,0 +1,98 @@
+// Background refresh queue for stale tokens (stale-while-revalidate)
+// The API answers from stored fields straight away and queues stale tokens here;
+// a small pool of workers refreshes them through the normal updater code.
+
+const { refreshToken } = require("../XRPLF API/marketDATA");
+
+// Tokens whose lastUpdated (the time an updater last refreshed them, not the time of the
+// market data) is older than this are served as stale and queued for refresh
+const TOKEN_STALE_AFTER_MS = parseInt(process.env.TOKEN_STALE_AFTER_MS) || 5 * 60 * 1000;
+const REFRESH_QUEUE_CONCURRENCY = parseInt(process.env.REFRESH_QUEUE_CONCURRENCY) || 2;
+const REFRESH_QUEUE_MAX_SIZE = parseInt(process.env.REFRESH_QUEUE_MAX_SIZE) || 500;
+
+const queue = [];
+const queued = new Set(); // token ids waiting or in progress
+const lastAttemptAt = new Map(); // token id -> time of the last refresh attempt
+let running = 0;
+
+// Function to run queued refreshes up to the concurrency limit
+function drain() {
+  while (running < REFRESH_QUEUE_CONCURRENCY && queue.length > 0) {
+    const tokenId = queue.shift();
+    const key = tokenId.toString();
+    running++;
+    lastAttemptAt.set(key, Date.now());
+
+    refreshToken(tokenId)
+      .catch((error) => {
+        console.error(`Error refreshing token ${key}:`, error.message);
+      })
+      .finally(() => {
+        running--;
+        queued.delete(key);
+        drain();
+      });
+  }
+}
+
+// Function to forget attempts whose cooldown has passed, so the map only holds tokens
+// refreshed within the last TOKEN_STALE_AFTER_MS
+function pruneAttempts(now = Date.now()) {
+  for (const [key, attemptedAt] of lastAttemptAt) {
+    if (now - attemptedAt >= TOKEN_STALE_AFTER_MS) {
+      lastAttemptAt.delete(key);
+    }
+  }
+}
+
+// Function to queue a token refresh. Returns true if the token is queued or already in progress.
+// A token is not re-queued until TOKEN_STALE_AFTER_MS has passed since its last attempt,
+// so tokens the upstream cannot refresh do not loop.
+function enqueueRefresh(tokenId) {
+  const key = tokenId.toString();
+  if (queued.has(key)) {
+    return true;
+  }
+  const lastAttempt = lastAttemptAt.get(key);
+  if (lastAttempt && Date.now() - lastAttempt < TOKEN_STALE_AFTER_MS) {
+    return false;
+  }
+  if (lastAttemptAt.size > REFRESH_QUEUE_MAX_SIZE) {
+    pruneAttempts();
+  }
+  if (queue.length >= REFRESH_QUEUE_MAX_SIZE) {
+    return false;
+  }
+
+  queued.add(key);
+  queue.push(tokenId);
+  setImmediate(drain);
+  return true;
+}
+
+// Function to describe how fresh a token's stored data is, queueing a refresh when stale
+function getFreshness(token, now = Date.now()) {
+  const lastUpdated = token.lastUpdated ? new Date(token.lastUpdated) : null;
+  const ageMs = lastUpdated ? now - lastUpdated.getTime() : null;
+  const stale = ageMs === null || ageMs > TOKEN_STALE_AFTER_MS;
+
+  return {
+    lastUpdated,
+    dataTimestamp: token.dataTimestamp ? new Date(token.dataTimestamp) : null,
+    ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+    stale,
+    refreshQueued:
+      stale && Boolean(token.issuer && token.currencyCode) ? enqueueRefresh(token._id) : false,
+  };
+}
+
+function getQueueStats() {
+  return { queued: queue.length, running };
+}
+
+module.exports = {
+  TOKEN_STALE_AFTER_MS,
+  enqueueRefresh,
+  getFreshness,
+  getQueueStats,
+};
@@ -0,0 +1,230 @@
+// HTTP API
+// GET /tokens                      paginated list (q, kingOfTheHill, minMarketCap, minLiquidity,
+//                                  maxRisk, riskLevel, creator, sort, order, page, limit)
+// GET /tokens/:id                  one token by document id
+// GET /tokens/:issuer/:currency    one token by issuer and currency code or symbol
+// GET /udf/*                       TradingView UDF datafeed over stored candles
+// GET /flow/leaderboard            most bought / most sold coins (window, side, limit)
+// GET /flow/:id                    one coin's buy/sell flow and series (interval, from, to, limit)
+// POST /tokens/onboard             onboard an issuer's tokens ({ issuer, currencies?, dryRun? });
+//                                  requires the X-Api-Key header to match ONBOARD_API_KEY
+
+const http = require("http");
+const { fetchTokens, fetchTokenById, fetchTokenByCurrency } = require("./tokens");
+const udf = require("./udf");
+const { getTokenFlow, getFlowLeaderboard } = require("./flow");
+const { onboardIssuer } = require("../Rippled API/onboardIssuer");
+
+const PORT = parseInt(process.env.PORT) || 3000;
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+// Onboarding writes to the database, so it stays disabled until a key is configured
+const ONBOARD_API_KEY = process.env.ONBOARD_API_KEY || "";
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Function to write a JSON response with CORS headers
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": CORS_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Api-Key",
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+// Function to read and parse a JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        const error = new Error("Request body too large");
+        error.status = 413;
+        reject(error);
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        const parseError = new Error("Request body must be valid JSON");
+        parseError.status = 400;
+        reject(parseError);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// POST /tokens/onboard
+async function handleOnboard(req, res) {
+  if (!ONBOARD_API_KEY || req.headers["x-api-key"] !== ONBOARD_API_KEY) {
+    return sendJson(res, 403, { error: "Forbidden" });
+  }
+  const body = await readJsonBody(req);
+  const currencies = Array.isArray(body.currencies) ? body.currencies : [];
+  const result = await onboardIssuer(body.issuer, { currencies, dryRun: Boolean(body.dryRun) });
+  return sendJson(res, 200, result);
+}
+
+async function handleTokens(req, res, url, segments) {
+  if (segments.length === 1) {
+    const result = await fetchTokens({ url: url.href });
+    if (result.error) {
+      return sendJson(res, result.status || 500, { error: result.error });
+    }
+    return sendJson(res, 200, result);
+  }
+
+  let token = null;
+  if (segments.length === 2) {
+    token = await fetchTokenById(segments[1]);
+  } else if (segments.length === 3) {
+    token = await fetchTokenByCurrency(segments[1], segments[2]);
+  } else {
+    return sendJson(res, 404, { error: "Not Found" });
+  }
+
+  if (!token) {
+    return sendJson(res, 404, { error: "Token not found" });
+  }
+  return sendJson(res, 200, token);
+}
+
+// TradingView UDF datafeed: /udf/config, /udf/time, /udf/symbols, /udf/search, /udf/history
+async function handleUdf(req, res, url, segments) {
+  const params = url.searchParams;
+  switch (segments[1]) {
+    case "config":
+      return sendJson(res, 200, udf.getConfig());
+    case "time":
+      res.writeHead(200, {
+        "Content-Type": "text/plain",
+        "Access-Control-Allow-Origin": CORS_ORIGIN,
+      });
+      return res.end(String(Math.floor(Date.now() / 1000)));
+    case "symbols":
+      return sendJson(res, 200, await udf.resolveSymbol(params.get("symbol")));
+    case "search":
+      return sendJson(
+        res,
+        200,
+        await udf.searchSymbols(params.get("query"), parseInt(params.get("limit")) || undefined)
+      );
+    case "history":
+      return sendJson(
+        res,
+        200,
+        await udf.getHistory({
+          symbol: params.get("symbol"),
+          resolution: params.get("resolution"),
+          from: params.get("from"),
+          to: params.get("to"),
+          countback: params.get("countback"),
+        })
+      );
+    default:
+      return sendJson(res, 404, { error: "Not Found" });
+  }
+}
+
+// Buy/sell flow: /flow/leaderboard and /flow/:id
+async function handleFlow(req, res, url, segments) {
+  const params = url.searchParams;
+  if (segments.length !== 2) {
+    return sendJson(res, 404, { error: "Not Found" });
+  }
+  if (segments[1] === "leaderboard") {
+    return sendJson(
+      res,
+      200,
+      await getFlowLeaderboard({
+        window: params.get("window") || undefined,
+        side: params.get("side") || undefined,
+        limit: params.get("limit"),
+      })
+    );
+  }
+
+  const flow = await getTokenFlow(segments[1], {
+    interval: params.get("interval") || undefined,
+    from: params.get("from"),
+    to: params.get("to"),
+    limit: params.get("limit"),
+  });
+  if (!flow) {
+    return sendJson(res, 404, { error: "Token not found" });
+  }
+  return sendJson(res, 200, flow);
+}
+
+// Function to route a request to its handler
+async function handleRequest(req, res) {
+  if (req.method === "OPTIONS") {
+    return sendJson(res, 204, null);
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  let segments;
+  try {
+    segments = url.pathname
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => decodeURIComponent(segment));
+  } catch (error) {
+    return sendJson(res, 400, { error: "Malformed URL encoding in path" });
+  }
+
+  if (segments[0] === "tokens" && segments[1] === "onboard" && segments.length === 2) {
+    if (req.method !== "POST") {
+      return sendJson(res, 405, { error: "Method Not Allowed" });
+    }
+    return handleOnboard(req, res);
+  }
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { error: "Method Not Allowed" });
+  }
+
+  if (segments[0] === "tokens") {
+    return handleTokens(req, res, url, segments);
+  }
+  if (segments[0] === "udf") {
+    return handleUdf(req, res, url, segments);
+  }
+  if (segments[0] === "flow") {
+    return handleFlow(req, res, url, segments);
+  }
+  return sendJson(res, 404, { error: "Not Found" });
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      // Client errors carry a status and are only reported back to the caller
+      if (!error.status || error.status >= 500) {
+        console.error(`Error handling ${req.method} ${req.url}:`, error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.status || 500, {
+          error: error.status ? error.message : "Internal Server Error",
+        });
+      } else {
+        res.end();
+      }
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  handleRequest,
+};
+
+// Run the server if this file is being run directly
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`API listening on port ${PORT}`);
+  });
+}
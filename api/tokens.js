@@ -0,0 +1,151 @@
+// Token reads for the HTTP API
+// Served purely from the stored fields the background updaters maintain; stale tokens are
+// queued for a background refresh and every token reports how fresh its data is.
+
+const { ObjectId } = require("mongodb");
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const { parseTokenQuery } = require("../lib/tokenQuery");
+const { currencyCodeVariants } = require("../lib/currencyCode");
+const { TOKEN_STALE_AFTER_MS, getFreshness } = require("./refreshQueue");
+
+// Fields returned by the token list
+const LIST_PROJECTION = {
+  _id: 1,
+  name: 1,
+  symbol: 1,
+  image: 1,
+  totalSupply: 1,
+  supply: 1,
+  holders: 1,
+  risk: 1,
+  poolHealth: 1,
+  orderBook: 1,
+  bestExecution: 1,
+  description: 1,
+  date: 1,
+  creator: 1,
+  issuer: 1,
+  currencyCode: 1,
+  reactions: 1,
+  comment: 1,
+  md5: 1,
+  ammAddress: 1,
+  upvotes: 1,
+  downvotes: 1,
+  price: 1,
+  marketCap: 1,
+  xrpPrice: 1,
+  priceSource: 1,
+  marketCapSource: 1,
+  marketCapBasis: 1,
+  priceSources: 1,
+  priceOracle: 1,
+  lastUpdated: 1,
+  dataTimestamp: 1,
+  kingOfTheHill: 1,
+  aggregatedLiquidity: 1,
+  volume24h: 1,
+  organicVolume24h: 1,
+  washShare: 1,
+  washTrading: 1,
+  volume7d: 1,
+  volume30d: 1,
+  volume90d: 1,
+  volumeChange: 1,
+  trendingScore: 1,
+  flow: 1,
+  // Market data fields kept at the top level by the updaters
+  base_volume: 1,
+  base_volume_buy: 1,
+  base_volume_sell: 1,
+  counter_volume: 1,
+  counter_volume_buy: 1,
+  counter_volume_sell: 1,
+  open: 1,
+  high: 1,
+  low: 1,
+  close: 1,
+  exchanges: 1,
+  unique_buyers: 1,
+  unique_sellers: 1,
+  timestamp: 1,
+};
+
+// Large fields left out of single token responses
+const EXCLUDED_FIELDS = {
+  chartData: 0,
+  ammInfo: 0,
+};
+
+// Function to fetch tokens with pagination, sorting, filters and field projection
+async function fetchTokens(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { filter, sortOption, limit, page, skip } = parseTokenQuery(searchParams);
+
+    const { db } = await connectToDatabase();
+    const collection = db.collection(COLLECTION_NAME);
+
+    const [tokens, totalCount] = await Promise.all([
+      collection
+        .find(filter)
+        .project(LIST_PROJECTION)
+        .sort(sortOption)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(filter),
+    ]);
+
+    const now = Date.now();
+    return {
+      tokens: tokens.map((token) => ({ ...token, freshness: getFreshness(token, now) })),
+      totalCount,
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      staleAfterSeconds: TOKEN_STALE_AFTER_MS / 1000,
+    };
+  } catch (error) {
+    if (error.status === 400) {
+      return { error: error.message, status: 400 };
+    }
+    console.error("Error fetching tokens:", error);
+    return { error: "Internal Server Error" };
+  }
+}
+
+// Function to add freshness to a single token
+function withFreshness(token) {
+  return token ? { ...token, freshness: getFreshness(token) } : null;
+}
+
+// Function to fetch one token by its document id; returns null when not found
+async function fetchTokenById(id) {
+  if (!ObjectId.isValid(id)) {
+    return null;
+  }
+  const { db } = await connectToDatabase();
+  const token = await db
+    .collection(COLLECTION_NAME)
+    .findOne({ _id: new ObjectId(id) }, { projection: EXCLUDED_FIELDS });
+  return withFreshness(token);
+}
+
+// Function to fetch one token by issuer and currency code (hex) or symbol
+async function fetchTokenByCurrency(issuer, currency) {
+  const { db } = await connectToDatabase();
+  const token = await db.collection(COLLECTION_NAME).findOne(
+    {
+      issuer,
+      $or: [{ currencyCode: { $in: currencyCodeVariants(currency) } }, { symbol: currency }],
+    },
+    { projection: EXCLUDED_FIELDS }
+  );
+  return withFreshness(token);
+}
+
+module.exports = {
+  fetchTokens,
+  fetchTokenById,
+  fetchTokenByCurrency,
+};
@@ -0,0 +1,199 @@
+// TradingView UDF datafeed over the stored candles
+// Symbols are `issuer_currencyCode` with the currency code hex-encoded, as used by XRPLF.
+// https://www.tradingview.com/charting-library-docs/latest/connecting_data/UDF
+
+const { connectToDatabase, COLLECTION_NAME } = require("../lib/db");
+const {
+  decodeCurrencyCode,
+  isValidCurrencyCode,
+  currencyCodeVariants,
+  toXrplfBase,
+} = require("../lib/currencyCode");
+const { escapeRegExp } = require("../lib/tokenQuery");
+const { getCandles } = require("../XRPLF API/candles");
+
+const EXCHANGE = "XRPL";
+
+// UDF resolutions and the candle interval that serves each of them
+const RESOLUTIONS = {
+  1: "1m",
+  5: "5m",
+  15: "15m",
+  30: "30m",
+  60: "1h",
+  240: "4h",
+  "1D": "1d",
+  "1M": "1M",
+};
+// Aliases TradingView may send for the same resolutions
+const RESOLUTION_ALIASES = { D: "1D", M: "1M" };
+
+const SEARCH_LIMIT = 30;
+const HISTORY_MAX_CANDLES = 5000;
+
+// Function to build a coin's UDF symbol
+function getSymbol(token) {
+  return toXrplfBase(token.issuer, token.currencyCode);
+}
+
+// Function to find the coin behind a UDF symbol; returns null when unknown
+async function findTokenBySymbol(symbol) {
+  const separator = (symbol || "").indexOf("_");
+  if (separator === -1) {
+    return null;
+  }
+  const issuer = symbol.slice(0, separator);
+  const currency = symbol.slice(separator + 1);
+  if (!isValidCurrencyCode(currency)) {
+    return null;
+  }
+
+  const { db } = await connectToDatabase();
+  return db.collection(COLLECTION_NAME).findOne(
+    { issuer, currencyCode: { $in: currencyCodeVariants(currency) } },
+    { projection: { name: 1, symbol: 1, issuer: 1, currencyCode: 1, xrpPrice: 1 } }
+  );
+}
+
+// Function to pick enough decimals to show tiny XRP prices
+function getPriceScale(price) {
+  const value = Number(price);
+  if (!value || value <= 0) {
+    return 100000000;
+  }
+  const decimals = Math.min(15, Math.max(2, Math.ceil(-Math.log10(value)) + 4));
+  return Math.pow(10, decimals);
+}
+
+// GET /udf/config
+function getConfig() {
+  return {
+    supported_resolutions: Object.keys(RESOLUTIONS),
+    supports_search: true,
+    supports_group_request: false,
+    supports_marks: false,
+    supports_timescale_marks: false,
+    supports_time: true,
+    exchanges: [{ value: EXCHANGE, name: EXCHANGE, desc: "XRP Ledger DEX and AMM" }],
+    symbols_types: [{ name: "Token", value: "crypto" }],
+  };
+}
+
+// Function to describe a coin the way /udf/symbols expects
+function toSymbolInfo(token) {
+  const symbol = getSymbol(token);
+  return {
+    name: symbol,
+    ticker: symbol,
+    description: `${token.name || decodeCurrencyCode(token.currencyCode)}/XRP`,
+    type: "crypto",
+    session: "24x7",
+    timezone: "Etc/UTC",
+    exchange: EXCHANGE,
+    listed_exchange: EXCHANGE,
+    minmov: 1,
+    pricescale: getPriceScale(token.xrpPrice),
+    has_intraday: true,
+    intraday_multipliers: ["1", "5", "15", "30", "60", "240"],
+    has_daily: true,
+    has_weekly_and_monthly: true,
+    supported_resolutions: Object.keys(RESOLUTIONS),
+    volume_precision: 2,
+    data_status: "streaming",
+    currency_code: "XRP",
+  };
+}
+
+// GET /udf/symbols?symbol=
+async function resolveSymbol(symbol) {
+  const token = await findTokenBySymbol(symbol);
+  if (!token) {
+    return { s: "error", errmsg: "unknown_symbol" };
+  }
+  return toSymbolInfo(token);
+}
+
+// GET /udf/search?query=&type=&exchange=&limit=
+async function searchSymbols(query, limit = SEARCH_LIMIT) {
+  const { db } = await connectToDatabase();
+  const filter = { issuer: { $exists: true }, currencyCode: { $exists: true } };
+  if (query) {
+    const pattern = new RegExp(escapeRegExp(query), "i");
+    filter.$or = [{ name: pattern }, { symbol: pattern }, { issuer: pattern }];
+  }
+
+  const tokens = await db
+    .collection(COLLECTION_NAME)
+    .find(filter, { projection: { name: 1, symbol: 1, issuer: 1, currencyCode: 1 } })
+    .sort({ marketCap: -1 })
+    .limit(Math.max(Math.min(limit, SEARCH_LIMIT), 1))
+    .toArray();
+
+  return tokens
+    .filter((token) => isValidCurrencyCode(token.currencyCode))
+    .map((token) => {
+      const symbol = getSymbol(token);
+      return {
+        symbol,
+        full_name: `${EXCHANGE}:${symbol}`,
+        description: `${token.name || decodeCurrencyCode(token.currencyCode)}/XRP`,
+        exchange: EXCHANGE,
+        ticker: symbol,
+        type: "crypto",
+      };
+    });
+}
+
+// GET /udf/history?symbol=&resolution=&from=&to=&countback=
+// from/to are unix seconds; countback, when given, asks for that many bars ending at `to`
+async function getHistory({ symbol, resolution, from, to, countback }) {
+  const interval = RESOLUTIONS[RESOLUTION_ALIASES[resolution] || resolution];
+  if (!interval) {
+    return { s: "error", errmsg: `Unsupported resolution ${resolution}` };
+  }
+  const token = await findTokenBySymbol(symbol);
+  if (!token) {
+    return { s: "error", errmsg: "unknown_symbol" };
+  }
+
+  const { db } = await connectToDatabase();
+  const toDate = new Date((parseInt(to) || Math.floor(Date.now() / 1000)) * 1000);
+  const limit = Math.max(
+    Math.min(parseInt(countback) || HISTORY_MAX_CANDLES, HISTORY_MAX_CANDLES),
+    1
+  );
+  const candles = await getCandles(db, token._id, interval, {
+    from: countback ? undefined : new Date((parseInt(from) || 0) * 1000),
+    to: toDate,
+    limit,
+  });
+
+  if (candles.length === 0) {
+    // Tell the chart where older data continues, if there is any
+    const [previous] = await getCandles(db, token._id, interval, {
+      to: new Date((parseInt(from) || 0) * 1000),
+      limit: 1,
+    });
+    return previous
+      ? { s: "no_data", nextTime: Math.floor(previous.timestamp.getTime() / 1000) }
+      : { s: "no_data" };
+  }
+
+  return {
+    s: "ok",
+    t: candles.map((candle) => Math.floor(candle.timestamp.getTime() / 1000)),
+    o: candles.map((candle) => candle.open),
+    h: candles.map((candle) => candle.high),
+    l: candles.map((candle) => candle.low),
+    c: candles.map((candle) => candle.close),
+    v: candles.map((candle) => candle.base_volume || 0),
+  };
+}
+
+module.exports = {
+  getSymbol,
+  getConfig,
+  resolveSymbol,
+  searchSymbols,
+  getHistory,
+};
@@ -0,0 +1,261 @@
+// Cross-source 24h volume reconciliation
+// Compares each coin's rolling 24h XRP volume from XRPLF volume_data, summed market_data
+// candles, ticker_data and AMM swaps read from the ledger, prints the coins whose sources
+// disagree beyond a tolerance and stores every result in volume_reconciliations.
+//
+// volume_data is the reference because it feeds the published volume24h. market_data and
+// ticker_data only cover the XRP pair, and AMM swaps are a subset of DEX volume, so the AMM
+// source is only flagged when it exceeds the reference.
+//
+// Usage: node compareVolume.js [symbol ...] [--tolerance=10] [--json] [--only-flagged]
+//                              [--skip-amm-refresh]
+
+const { connectToDatabase, closeDatabase, COLLECTION_NAME } = require('./lib/db');
+const { getXrplfClient } = require('./lib/xrplfClient');
+const { isValidCurrencyCode, toXrplfBase } = require('./lib/currencyCode');
+const { getConnectionPool } = require('./Rippled API/RippledupdateMCAP');
+const { getAMMVolume, updateCoinTrades } = require('./Rippled API/ammTrades');
+
+const RECONCILIATION_COLLECTION_NAME =
+  process.env.VOLUME_RECONCILIATION_COLLECTION_NAME || 'volume_reconciliations';
+const DEFAULT_TOLERANCE_PERCENT = parseFloat(process.env.VOLUME_TOLERANCE_PERCENT) || 10;
+
+const SOURCES = ['volume_data', 'market_data', 'ticker_data', 'amm'];
+const REFERENCE_SOURCE = 'volume_data';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().split('.')[0] + 'Z';
+
+// Function to sum hourly volume_data over the window
+async function fetchVolumeDataVolume(base, from, to) {
+  const data = await getXrplfClient().volumeData(base, {
+    interval: '1h',
+    start: formatDate(from),
+    end: formatDate(to),
+    exclude_amm: false,
+  });
+  if (!Array.isArray(data) || data.length === 0) {
+    return null;
+  }
+  return data.reduce((sum, entry) => sum + (Number(entry.volume) || 0), 0);
+}
+
+// Function to sum hourly market_data counter (XRP) volume over the window
+async function fetchMarketDataVolume(base, from, to) {
+  const data = await getXrplfClient().marketData(base, 'XRP', {
+    interval: '1h',
+    start: formatDate(from),
+    end: formatDate(to),
+    exclude_amm: false,
+  });
+  if (!Array.isArray(data) || data.length === 0) {
+    return null;
+  }
+  return data.reduce((sum, candle) => sum + (Number(candle.counter_volume) || 0), 0);
+}
+
+// Function to index the 24h XRP tickers by base
+async function fetchTickerVolumes() {
+  const data = await getXrplfClient().tickerData('all', { interval: '24h', only_amm: false });
+  const volumes = new Map();
+  for (const ticker of Array.isArray(data) ? data : []) {
+    if (ticker.counter === 'XRP') {
+      volumes.set(ticker.base, Number(ticker.counter_volume) || 0);
+    }
+  }
+  return volumes;
+}
+
+// Function to compare every source with the reference.
+// Returns { reference, discrepancies, flagged }; diffPercent is relative to the reference.
+function findDiscrepancies(volumes, tolerancePercent) {
+  const reference = volumes[REFERENCE_SOURCE];
+  const discrepancies = [];
+  if (reference === null || reference === undefined) {
+    return { reference: null, discrepancies, flagged: false };
+  }
+
+  for (const source of SOURCES) {
+    const value = volumes[source];
+    if (source === REFERENCE_SOURCE || value === null || value === undefined) {
+      continue;
+    }
+    // Volume where the reference has none has no percentage and is always reported
+    const diffPercent = reference > 0 ? ((value - reference) / reference) * 100 : null;
+    if (diffPercent === null && !(value > 0)) {
+      continue;
+    }
+
+    // AMM swaps are part of the total, so only more AMM volume than total is a problem
+    const exceeds =
+      diffPercent === null ||
+      (source === 'amm' ? diffPercent > tolerancePercent : Math.abs(diffPercent) > tolerancePercent);
+    if (exceeds) {
+      discrepancies.push({ source, value, diffPercent });
+    }
+  }
+
+  return {
+    reference,
+    discrepancies,
+    flagged: discrepancies.length > 0,
+  };
+}
+
+// Function to reconcile the 24h volume of every (or the selected) coin
+async function reconcileVolumes({
+  symbols = [],
+  tolerancePercent = DEFAULT_TOLERANCE_PERCENT,
+  refreshAMM = true,
+} = {}) {
+  const { db } = await connectToDatabase();
+  const collection = db.collection(COLLECTION_NAME);
+  const query = { issuer: { $exists: true }, currencyCode: { $exists: true } };
+  if (symbols.length > 0) {
+    query.symbol = { $in: symbols };
+  }
+  const tokens = await collection
+    .find(query, {
+      projection: { symbol: 1, issuer: 1, currencyCode: 1, ammAddress: 1, ammTradesLedgerIndex: 1 },
+    })
+    .toArray();
+
+  const to = new Date();
+  const from = new Date(to.getTime() - DAY_MS);
+  const runAt = new Date();
+  const tickerVolumes = await fetchTickerVolumes();
+  const results = [];
+
+  for (const token of tokens) {
+    if (!isValidCurrencyCode(token.currencyCode)) {
+      continue;
+    }
+    const base = toXrplfBase(token.issuer, token.currencyCode);
+    const volumes = {};
+    const errors = {};
+
+    const readSource = async (source, read) => {
+      try {
+        volumes[source] = await read();
+      } catch (error) {
+        volumes[source] = null;
+        errors[source] = error.message;
+      }
+    };
+
+    await readSource('volume_data', () => fetchVolumeDataVolume(base, from, to));
+    await readSource('market_data', () => fetchMarketDataVolume(base, from, to));
+    volumes.ticker_data = tickerVolumes.has(base) ? tickerVolumes.get(base) : null;
+    if (token.ammAddress) {
+      await readSource('amm', async () => {
+        if (refreshAMM) {
+          await updateCoinTrades(db, getConnectionPool(), collection, token);
+        }
+        return (await getAMMVolume(db, token._id, from, to)).volume;
+      });
+    } else {
+      volumes.amm = null;
+    }
+
+    results.push({
+      coinId: token._id,
+      symbol: token.symbol,
+      base,
+      from,
+      to,
+      volumes,
+      errors,
+      tolerancePercent,
+      ...findDiscrepancies(volumes, tolerancePercent),
+      runAt,
+    });
+  }
+
+  if (results.length > 0) {
+    const reconciliations = db.collection(RECONCILIATION_COLLECTION_NAME);
+    await reconciliations.createIndex({ coinId: 1, runAt: -1 });
+    await reconciliations.insertMany(results.map((result) => ({ ...result })));
+  }
+  return results;
+}
+
+function formatDiscrepancy({ source, diffPercent }) {
+  if (diffPercent === null) {
+    return `${source} (reference is 0)`;
+  }
+  return `${source} ${diffPercent > 0 ? '+' : ''}${diffPercent.toFixed(1)}%`;
+}
+
+// Function to print the results as a table
+function printTable(results) {
+  const formatVolume = (value) =>
+    value === null || value === undefined ? '-' : value.toFixed(2);
+  const rows = results.map((result) => [
+    result.symbol,
+    ...SOURCES.map((source) => formatVolume(result.volumes[source])),
+    result.discrepancies.map(formatDiscrepancy).join(', ') || 'ok',
+  ]);
+  const header = ['symbol', ...SOURCES, 'discrepancies'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => String(row[column]).length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) =>
+        column === 0 || column === row.length - 1
+          ? String(cell).padEnd(widths[column])
+          : String(cell).padStart(widths[column])
+      )
+      .join('  ');
+
+  console.log(formatRow(header));
+  console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+  rows.forEach((row) => console.log(formatRow(row)));
+}
+
+module.exports = {
+  findDiscrepancies,
+  reconcileVolumes,
+};
+
+// Run the reconciliation if this file is being run directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = args.filter((arg) => arg.startsWith('--'));
+  const symbols = args.filter((arg) => !arg.startsWith('--'));
+  const toleranceArg = options.find((arg) => arg.startsWith('--tolerance='));
+  const tolerancePercent = toleranceArg
+    ? parseFloat(toleranceArg.split('=')[1])
+    : DEFAULT_TOLERANCE_PERCENT;
+
+  if (isNaN(tolerancePercent) || tolerancePercent < 0) {
+    console.error('--tolerance must be a non-negative number of percent');
+    process.exit(1);
+  }
+
+  reconcileVolumes({
+    symbols,
+    tolerancePercent,
+    refreshAMM: !options.includes('--skip-amm-refresh'),
+  })
+    .then((results) => {
+      const shown = options.includes('--only-flagged')
+        ? results.filter((result) => result.flagged)
+        : results;
+      if (options.includes('--json')) {
+        console.log(JSON.stringify(shown, null, 2));
+      } else {
+        printTable(shown);
+        const flagged = results.filter((result) => result.flagged).length;
+        console.log(`\n${flagged} of ${results.length} coins outside ${tolerancePercent}% tolerance`);
+      }
+    })
+    .catch((error) => {
+      console.error('Error reconciling volumes:', error);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      getConnectionPool().close();
+      await closeDatabase();
+    });
+}
@@ -0,0 +1,161 @@
+// XRPL currency code codec
+// Wire format is what the ledger and XRPLF use: a 3-character standard code ("USD") or a
+// 40-character hex code. Display format is what people type: "USD", "SOLO", or "LP" for AMM LP tokens.
+// https://xrpl.org/docs/references/protocol/data-types/currency-formats#currency-codes
+
+// Characters allowed in a 3-character standard code
+const STANDARD_CODE_PATTERN = /^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/;
+const HEX_CODE_PATTERN = /^[A-Fa-f0-9]{40}$/;
+// A 160-bit code whose first byte is 0x03 is an AMM LP token
+const LP_TOKEN_PREFIX = "03";
+// Non-standard codes carry at most 20 bytes of ASCII
+const MAX_NONSTANDARD_LENGTH = 20;
+
+// Function to build an error for an unusable currency code
+function invalidCode(currencyCode, reason) {
+  const error = new Error(`Invalid currency code "${currencyCode}": ${reason}`);
+  error.code = "INVALID_CURRENCY_CODE";
+  return error;
+}
+
+function isStandardCode(currencyCode) {
+  return typeof currencyCode === "string" && STANDARD_CODE_PATTERN.test(currencyCode);
+}
+
+function isHexCode(currencyCode) {
+  return typeof currencyCode === "string" && HEX_CODE_PATTERN.test(currencyCode);
+}
+
+function isLPTokenCode(currencyCode) {
+  return isHexCode(currencyCode) && currencyCode.slice(0, 2) === LP_TOKEN_PREFIX;
+}
+
+// Function to read a 40-hex code that holds a standard code in the 160-bit layout
+// (12 zero bytes, 3 ASCII bytes, 5 zero bytes); returns null for any other hex code
+function unpackStandardHex(hex) {
+  const upper = hex.toUpperCase();
+  if (!/^0{24}[0-9A-F]{6}0{10}$/.test(upper)) {
+    return null;
+  }
+  const code = Buffer.from(upper.slice(24, 30), "hex").toString("ascii");
+  return isStandardCode(code) ? code : null;
+}
+
+// Function to convert any accepted form to wire format.
+// Throws for codes the ledger cannot hold: empty, "XRP" as an IOU, non-ASCII, or too long.
+function encodeCurrencyCode(currencyCode) {
+  if (typeof currencyCode !== "string" || currencyCode.length === 0) {
+    throw invalidCode(currencyCode, "empty");
+  }
+
+  if (isHexCode(currencyCode)) {
+    const upper = currencyCode.toUpperCase();
+    if (/^0{40}$/.test(upper)) {
+      throw invalidCode(currencyCode, "the all-zero code is reserved for XRP");
+    }
+    // Standard codes written in hex are stored as the 3-character code
+    if (upper.slice(0, 2) === "00") {
+      const standard = unpackStandardHex(upper);
+      if (!standard) {
+        throw invalidCode(currencyCode, "hex codes starting with 00 must hold a standard code");
+      }
+      return encodeCurrencyCode(standard);
+    }
+    return upper;
+  }
+
+  if (!/^[\x20-\x7E]+$/.test(currencyCode)) {
+    throw invalidCode(currencyCode, "only printable ASCII is allowed");
+  }
+
+  if (isStandardCode(currencyCode)) {
+    if (currencyCode === "XRP") {
+      throw invalidCode(currencyCode, "XRP cannot be issued as a token");
+    }
+    // Use currency code as-is for standard codes
+    return currencyCode;
+  }
+
+  if (currencyCode.length > MAX_NONSTANDARD_LENGTH) {
+    throw invalidCode(currencyCode, `longer than ${MAX_NONSTANDARD_LENGTH} characters`);
+  }
+
+  // Convert to hex and pad to 40 characters
+  return Buffer.from(currencyCode, "ascii").toString("hex").toUpperCase().padEnd(40, "0");
+}
+
+// Function to convert any accepted form to a display symbol.
+// Hex codes that are not readable ASCII are returned as hex.
+function decodeCurrencyCode(currencyCode) {
+  const wire = encodeCurrencyCode(currencyCode);
+  if (!isHexCode(wire)) {
+    return wire;
+  }
+  if (isLPTokenCode(wire)) {
+    return "LP";
+  }
+
+  const text = Buffer.from(wire, "hex").toString("latin1").replace(/\0+$/, "");
+  if (text.length > 0 && /^[\x20-\x7E]+$/.test(text)) {
+    return text;
+  }
+  return wire;
+}
+
+// Function to classify a code: "standard", "nonstandard" or "lp"
+function getCurrencyCodeType(currencyCode) {
+  const wire = encodeCurrencyCode(currencyCode);
+  if (isLPTokenCode(wire)) {
+    return "lp";
+  }
+  return isHexCode(wire) ? "nonstandard" : "standard";
+}
+
+// Function to check a code without throwing
+function isValidCurrencyCode(currencyCode) {
+  try {
+    encodeCurrencyCode(currencyCode);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to compare two codes in any form; invalid codes never match
+function currencyCodesEqual(a, b) {
+  try {
+    return encodeCurrencyCode(a) === encodeCurrencyCode(b);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Function to list the forms a code may be stored under, for Mongo $in lookups
+function currencyCodeVariants(currencyCode) {
+  const variants = new Set([currencyCode]);
+  try {
+    variants.add(encodeCurrencyCode(currencyCode));
+    variants.add(decodeCurrencyCode(currencyCode));
+  } catch (error) {
+    // Invalid codes can only match themselves
+  }
+  return [...variants];
+}
+
+// Function to build the XRPLF base identifier, e.g. "rIssuer_USD" or "rIssuer_534F4C4F..."
+function toXrplfBase(issuer, currencyCode) {
+  return `${issuer}_${encodeCurrencyCode(currencyCode)}`;
+}
+
+module.exports = {
+  isStandardCode,
+  isHexCode,
+  isLPTokenCode,
+  encodeCurrencyCode,
+  decodeCurrencyCode,
+  getCurrencyCodeType,
+  isValidCurrencyCode,
+  currencyCodesEqual,
+  currencyCodeVariants,
+  toXrplfBase,
+};
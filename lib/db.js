@@ -0,0 +1,46 @@
+// Shared MongoDB connection for every updater and the API
+
+const { MongoClient } = require("mongodb");
+
+// Use environment variables for sensitive data
+const MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017";
+const DB_NAME = process.env.DB_NAME || "xrpFun";
+const COLLECTION_NAME = process.env.COLLECTION_NAME || "coins";
+
+// Create a cached database connection
+let cachedClient = null;
+let cachedDb = null;
+
+async function connectToDatabase() {
+  if (cachedClient && cachedDb) {
+    return { client: cachedClient, db: cachedDb };
+  }
+
+  const client = await MongoClient.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  const db = client.db(DB_NAME);
+  cachedClient = client;
+  cachedDb = db;
+
+  return { client, db };
+}
+
+// Function to close the cached connection so one-shot scripts can exit
+async function closeDatabase() {
+  if (cachedClient) {
+    await cachedClient.close();
+  }
+  cachedClient = null;
+  cachedDb = null;
+}
+
+module.exports = {
+  MONGODB_URI,
+  DB_NAME,
+  COLLECTION_NAME,
+  connectToDatabase,
+  closeDatabase,
+};
@@ -0,0 +1,299 @@
+// Shared egress for outbound HTTP requests
+// Every HTTP fetcher sends through one route configuration: direct, an HTTP(S) or SOCKS5
+// proxy, or a rotating list of proxies. Each proxy has its own rate budget and is taken
+// out of rotation after repeated transport failures until a health check passes again.
+// When every proxy is down, requests fall back to direct only if EGRESS_ALLOW_DIRECT is set.
+// Responses and errors carry `route` describing the path the request took.
+
+const fetch = (...args) =>
+  import("node-fetch").then(({ default: fetch }) => fetch(...args));
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const { SocksProxyAgent } = require("socks-proxy-agent");
+
+// Comma-separated proxy URLs (http://, https://, socks5://, socks5h://); empty means direct.
+// For Tor: socks5h://127.0.0.1:9150
+const EGRESS_PROXIES = process.env.EGRESS_PROXIES
+  ? process.env.EGRESS_PROXIES.split(",").map((url) => url.trim()).filter(Boolean)
+  : [];
+// Whether requests may leave without a proxy when every proxy is down
+const EGRESS_ALLOW_DIRECT = process.env.EGRESS_ALLOW_DIRECT === "true";
+// Requests each proxy may send per window (XRPLF allows 600 per minute per IP)
+const EGRESS_PROXY_RATE_LIMIT = parseInt(process.env.EGRESS_PROXY_RATE_LIMIT) || 600;
+const EGRESS_PROXY_RATE_WINDOW_MS =
+  parseInt(process.env.EGRESS_PROXY_RATE_WINDOW_MS) || 60 * 1000;
+// Consecutive transport failures before a proxy is taken out of rotation
+const EGRESS_MAX_FAILURES = parseInt(process.env.EGRESS_MAX_FAILURES) || 3;
+// How long an unhealthy proxy waits before it is checked again
+const EGRESS_HEALTH_CHECK_INTERVAL_MS =
+  parseInt(process.env.EGRESS_HEALTH_CHECK_INTERVAL_MS) || 60 * 1000;
+// Any HTTP response from this URL counts as a healthy route
+const EGRESS_HEALTH_CHECK_URL = process.env.EGRESS_HEALTH_CHECK_URL || "https://data.xrplf.org";
+const EGRESS_TIMEOUT_MS = parseInt(process.env.EGRESS_TIMEOUT_MS) || 30 * 1000;
+// Log the route of every request
+const EGRESS_LOG_ROUTES = process.env.EGRESS_LOG_ROUTES === "true";
+
+const DIRECT_ROUTE = "direct";
+
+// Helper function to wait for a specified number of milliseconds
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to hide proxy credentials in logs and reports
+function redactProxyUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.username || parsed.password) {
+    parsed.username = parsed.username ? "***" : "";
+    parsed.password = parsed.password ? "***" : "";
+  }
+  return parsed.toString().replace(/\/$/, "");
+}
+
+// Function to build the agent for a proxy URL
+function createProxyAgent(url) {
+  const { protocol } = new URL(url);
+  if (protocol === "http:" || protocol === "https:") {
+    return new HttpsProxyAgent(url);
+  }
+  if (["socks:", "socks4:", "socks5:", "socks5h:"].includes(protocol)) {
+    return new SocksProxyAgent(url);
+  }
+  throw new Error(`Unsupported proxy protocol "${protocol}" in ${redactProxyUrl(url)}`);
+}
+
+// Function to set up one proxy route with its budget and health state
+function createProxyRoute(proxy) {
+  const { url, rateLimit = EGRESS_PROXY_RATE_LIMIT, windowMs = EGRESS_PROXY_RATE_WINDOW_MS } =
+    typeof proxy === "string" ? { url: proxy } : proxy;
+  return {
+    name: redactProxyUrl(url),
+    agent: createProxyAgent(url),
+    rateLimit,
+    windowMs,
+    used: 0,
+    windowEnd: 0,
+    healthy: true,
+    failures: 0,
+    nextCheckAt: 0,
+    requests: 0,
+    errors: 0,
+    lastError: null,
+  };
+}
+
+// Function to claim a slot in a proxy's budget without waiting
+function tryClaim(route, now = Date.now()) {
+  if (now >= route.windowEnd) {
+    route.used = 0;
+    route.windowEnd = now + route.windowMs;
+  }
+  if (route.used < route.rateLimit) {
+    route.used++;
+    return true;
+  }
+  return false;
+}
+
+// Function to create an egress.
+// Options: proxies (URLs or { url, rateLimit, windowMs }), allowDirect, maxFailures,
+// healthCheckIntervalMs, healthCheckUrl, timeoutMs, logRoutes, transport (fetch-style, for tests).
+function createEgress(options = {}) {
+  const proxies = (options.proxies || EGRESS_PROXIES).map(createProxyRoute);
+  // Without proxies direct is the configured route, not a failover
+  const allowDirect =
+    proxies.length === 0 ||
+    (options.allowDirect !== undefined ? options.allowDirect : EGRESS_ALLOW_DIRECT);
+  const maxFailures = options.maxFailures || EGRESS_MAX_FAILURES;
+  const healthCheckIntervalMs = options.healthCheckIntervalMs || EGRESS_HEALTH_CHECK_INTERVAL_MS;
+  const healthCheckUrl = options.healthCheckUrl || EGRESS_HEALTH_CHECK_URL;
+  const timeoutMs = options.timeoutMs || EGRESS_TIMEOUT_MS;
+  const logRoutes = options.logRoutes !== undefined ? options.logRoutes : EGRESS_LOG_ROUTES;
+  const transport = options.transport || fetch;
+
+  const direct = { name: DIRECT_ROUTE, requests: 0, errors: 0, lastError: null };
+  let nextIndex = 0;
+
+  // Function to send one request over a route, with a timeout unless the caller set a signal
+  async function send(route, url, init) {
+    const requestInit = { ...init };
+    if (route.agent) {
+      requestInit.agent = route.agent;
+    }
+    let timer = null;
+    if (!requestInit.signal) {
+      const controller = new AbortController();
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+      requestInit.signal = controller.signal;
+    }
+    try {
+      return await transport(url, requestInit);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function markFailure(route, error) {
+    route.errors++;
+    route.lastError = error.message;
+    if (!route.agent) {
+      return;
+    }
+    route.failures++;
+    if (route.healthy && route.failures >= maxFailures) {
+      route.healthy = false;
+      console.warn(`Egress proxy ${route.name} marked unhealthy: ${error.message}`);
+    }
+    if (!route.healthy) {
+      route.nextCheckAt = Date.now() + healthCheckIntervalMs;
+    }
+  }
+
+  function markSuccess(route) {
+    if (route.agent && !route.healthy) {
+      console.log(`Egress proxy ${route.name} is healthy again`);
+    }
+    route.healthy = true;
+    route.failures = 0;
+  }
+
+  // Function to check one proxy by sending a request through it. Any HTTP response passes.
+  async function checkProxy(route) {
+    try {
+      await send(route, healthCheckUrl, { method: "HEAD" });
+      markSuccess(route);
+    } catch (error) {
+      route.lastError = error.message;
+      route.healthy = false;
+      route.nextCheckAt = Date.now() + healthCheckIntervalMs;
+    }
+    return route.healthy;
+  }
+
+  // Function to check every proxy now
+  async function checkHealth() {
+    for (const route of proxies) {
+      await checkProxy(route);
+    }
+    return getRouteReport();
+  }
+
+  // Function to pick the next proxy in rotation that is healthy and has budget left.
+  // Unhealthy proxies due for a check are checked first. Waits when every healthy proxy
+  // has spent its budget; returns null when no proxy is healthy.
+  async function pickProxy(exclude) {
+    for (;;) {
+      let earliestWindowEnd = Infinity;
+      for (let offset = 0; offset < proxies.length; offset++) {
+        const index = (nextIndex + offset) % proxies.length;
+        const route = proxies[index];
+        if (exclude.has(route)) {
+          continue;
+        }
+        if (!route.healthy) {
+          if (Date.now() < route.nextCheckAt || !(await checkProxy(route))) {
+            continue;
+          }
+        }
+        if (tryClaim(route)) {
+          nextIndex = (index + 1) % proxies.length;
+          return route;
+        }
+        earliestWindowEnd = Math.min(earliestWindowEnd, route.windowEnd);
+      }
+      if (earliestWindowEnd === Infinity) {
+        return null;
+      }
+      await wait(Math.max(earliestWindowEnd - Date.now(), 50));
+    }
+  }
+
+  // Function to send a request: through each usable proxy in turn, then direct if allowed.
+  // Fetch-style signature, so it can be passed as a transport.
+  async function egressFetch(url, init = {}) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (;;) {
+      const route = proxies.length > 0 ? await pickProxy(tried) : null;
+      const failover = route === null && proxies.length > 0;
+      if (route === null && (!allowDirect || tried.has(direct))) {
+        const error = new Error(
+          `No egress route available for ${url}` + (lastError ? `: ${lastError.message}` : "")
+        );
+        error.route = lastError ? lastError.route : null;
+        throw error;
+      }
+
+      const used = route || direct;
+      tried.add(used);
+      used.requests++;
+      const report = {
+        route: used.agent ? "proxy" : DIRECT_ROUTE,
+        proxy: used.agent ? used.name : null,
+        failover,
+      };
+      try {
+        const response = await send(used, url, init);
+        markSuccess(used);
+        // A proxy that is rate limited rests until the server's window resets
+        if (response.status === 429 && used.agent) {
+          const retryAfter = parseInt(response.headers.get("Retry-After"));
+          used.used = used.rateLimit;
+          used.windowEnd = Date.now() + (isNaN(retryAfter) ? used.windowMs : retryAfter * 1000);
+        }
+        if (logRoutes) {
+          console.log(`${url} via ${report.proxy || report.route}${failover ? " (failover)" : ""}`);
+        }
+        response.route = report;
+        return response;
+      } catch (error) {
+        markFailure(used, error);
+        error.route = report;
+        lastError = error;
+        console.warn(`Egress via ${used.name} failed for ${url}: ${error.message}`);
+        if (used === direct) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Function to report the state of every route
+  function getRouteReport() {
+    return [...proxies, ...(allowDirect ? [direct] : [])].map((route) => ({
+      route: route.agent ? "proxy" : DIRECT_ROUTE,
+      proxy: route.agent ? route.name : null,
+      healthy: route.agent ? route.healthy : true,
+      requests: route.requests,
+      errors: route.errors,
+      lastError: route.lastError,
+      budgetRemaining: route.agent
+        ? Date.now() >= route.windowEnd
+          ? route.rateLimit
+          : route.rateLimit - route.used
+        : null,
+    }));
+  }
+
+  return {
+    fetch: egressFetch,
+    checkHealth,
+    getRouteReport,
+  };
+}
+
+// Default egress from the environment, created on first use
+let cachedEgress = null;
+
+function getEgress() {
+  if (!cachedEgress) {
+    cachedEgress = createEgress();
+  }
+  return cachedEgress;
+}
+
+module.exports = {
+  createEgress,
+  getEgress,
+  redactProxyUrl,
+};
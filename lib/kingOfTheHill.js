@@ -0,0 +1,260 @@
+// King of the Hill rules engine shared by every price updater
+// Rules come from the koth_rules collection, then the KOTH_RULES env variable, then the defaults.
+// Every promotion and demotion is written to the koth_events collection once the caller has
+// saved the coin's new status.
+
+const RULES_COLLECTION_NAME = process.env.KOTH_RULES_COLLECTION_NAME || "koth_rules";
+const EVENTS_COLLECTION_NAME = process.env.KOTH_EVENTS_COLLECTION_NAME || "koth_events";
+const RULES_CACHE_TTL_MS = 60 * 1000;
+
+// Default rules: the original single 58900 XRP market cap tier, no demotion
+const DEFAULT_RULES = {
+  tiers: [
+    {
+      name: "king",
+      label: "King of the hill",
+      minMarketCap: 58900,
+    },
+  ],
+  demotion: {
+    enabled: false,
+    // A coin keeps its tier until it falls below this fraction of the tier's minimums
+    ratio: 0.8,
+  },
+};
+
+// Function to read rules from the KOTH_RULES env variable; malformed JSON is reported once
+// and ignored
+function parseEnvRules() {
+  if (!process.env.KOTH_RULES) {
+    return null;
+  }
+  try {
+    return JSON.parse(process.env.KOTH_RULES);
+  } catch (error) {
+    console.error("Ignoring malformed KOTH_RULES, using the defaults:", error.message);
+    return null;
+  }
+}
+
+const ENV_RULES = parseEnvRules();
+
+let cachedRules = null;
+let cachedRulesAt = 0;
+
+// Function to validate rules and order tiers from lowest to highest
+function normalizeRules(rules) {
+  if (!rules || !Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+    throw new Error("King of the Hill rules must define at least one tier");
+  }
+
+  const tiers = rules.tiers.map((tier) => {
+    if (!tier.name || !tier.label) {
+      throw new Error("Each King of the Hill tier needs a name and a label");
+    }
+    return {
+      name: tier.name,
+      label: tier.label,
+      minMarketCap: Number(tier.minMarketCap) || 0,
+      minLiquidity: Number(tier.minLiquidity) || 0,
+      minVolume24h: Number(tier.minVolume24h) || 0,
+    };
+  });
+  tiers.sort((a, b) => a.minMarketCap - b.minMarketCap);
+
+  return {
+    tiers,
+    demotion: { ...DEFAULT_RULES.demotion, ...(rules.demotion || {}) },
+  };
+}
+
+// Function to load the active rules, cached for a minute
+async function loadRules(db) {
+  if (cachedRules && Date.now() - cachedRulesAt < RULES_CACHE_TTL_MS) {
+    return cachedRules;
+  }
+
+  let rules = null;
+  try {
+    rules = await db.collection(RULES_COLLECTION_NAME).findOne({ _id: "default" });
+  } catch (error) {
+    console.error("Error loading King of the Hill rules:", error.message);
+  }
+  if (!rules) {
+    rules = ENV_RULES;
+  }
+
+  try {
+    cachedRules = normalizeRules(rules || DEFAULT_RULES);
+  } catch (error) {
+    console.error("Invalid King of the Hill rules, using the defaults:", error.message);
+    cachedRules = normalizeRules(DEFAULT_RULES);
+  }
+  cachedRulesAt = Date.now();
+  return cachedRules;
+}
+
+// Function to check a tier's conditions, optionally relaxed by the demotion ratio
+function meetsTier(tier, metrics, ratio = 1) {
+  return (
+    metrics.marketCap >= tier.minMarketCap * ratio &&
+    metrics.liquidity >= tier.minLiquidity * ratio &&
+    metrics.volume24h >= tier.minVolume24h * ratio
+  );
+}
+
+// Function to find the coin's current tier; older documents only carry the label
+function currentTierIndex(rules, kingOfTheHill) {
+  if (!kingOfTheHill) {
+    return -1;
+  }
+  const byName = rules.tiers.findIndex((tier) => tier.name === kingOfTheHill.tier);
+  if (byName !== -1) {
+    return byName;
+  }
+  const byLabel = rules.tiers.findIndex((tier) => tier.label === kingOfTheHill.label);
+  return byLabel !== -1 ? byLabel : 0;
+}
+
+// Function to evaluate a coin against the rules. Nothing is written here.
+// Returns undefined when nothing changes, otherwise { value, event }: value is the new
+// kingOfTheHill (null when demoted out), and event is passed to recordKingOfTheHillEvent
+// after the coin has been saved with that value.
+// `source` names the price source that produced the market cap, e.g. "amm" or "xrplf_exchange_rates".
+async function evaluateKingOfTheHill(db, token, metrics, source) {
+  const rules = await loadRules(db);
+
+  const values = {
+    marketCap: Number(metrics.marketCap) || 0,
+    liquidity:
+      Number(
+        metrics.liquidity !== undefined
+          ? metrics.liquidity
+          : token.aggregatedLiquidity !== undefined
+          ? token.aggregatedLiquidity
+          : token.totalLiquidity
+      ) || 0,
+    volume24h:
+      Number(metrics.volume24h !== undefined ? metrics.volume24h : token.volume24h) || 0,
+  };
+
+  const current = currentTierIndex(rules, token.kingOfTheHill);
+  let qualifying = -1;
+  rules.tiers.forEach((tier, index) => {
+    if (meetsTier(tier, values)) {
+      qualifying = index;
+    }
+  });
+
+  let target = current;
+  if (qualifying > current) {
+    target = qualifying;
+  } else if (rules.demotion.enabled && current !== -1) {
+    // Step down to the highest tier the coin still holds with the relaxed minimums
+    target = -1;
+    for (let index = current; index >= 0; index--) {
+      if (meetsTier(rules.tiers[index], values, rules.demotion.ratio)) {
+        target = index;
+        break;
+      }
+    }
+  }
+
+  if (target === current) {
+    return undefined;
+  }
+
+  const fromTier = current !== -1 ? rules.tiers[current] : null;
+  const toTier = target !== -1 ? rules.tiers[target] : null;
+  const timestamp = new Date();
+
+  const event = {
+    coinId: token._id,
+    symbol: token.symbol,
+    type: target > current ? "promotion" : "demotion",
+    fromTier: fromTier ? fromTier.name : null,
+    toTier: toTier ? toTier.name : null,
+    label: toTier ? toTier.label : null,
+    source,
+    marketCap: values.marketCap,
+    liquidity: values.liquidity,
+    volume24h: values.volume24h,
+    timestamp,
+  };
+
+  console.log(
+    `King of the Hill ${event.type} for ${token.symbol}: ${
+      fromTier ? fromTier.label : "none"
+    } -> ${toTier ? toTier.label : "none"} (source: ${source})`
+  );
+
+  return {
+    value: toTier
+      ? {
+          label: toTier.label,
+          tier: toTier.name,
+          source,
+          timestamp,
+        }
+      : null,
+    event,
+  };
+}
+
+// Function to log a promotion or demotion once the coin's new status is saved
+async function recordKingOfTheHillEvent(db, event) {
+  try {
+    await db.collection(EVENTS_COLLECTION_NAME).insertOne(event);
+  } catch (error) {
+    console.error(`Error recording King of the Hill event for ${event.symbol}:`, error.message);
+  }
+}
+
+// Function to bulk write coin updates and log the King of the Hill events of the updates
+// that were saved. `updates` are { operation, kingOfTheHillEvent } with an optional event.
+async function bulkWriteWithKingOfTheHillEvents(db, collection, updates) {
+  let failed = new Set();
+  let writeError = null;
+  try {
+    await collection.bulkWrite(
+      updates.map((update) => update.operation),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Unordered writes carry the index of every operation that failed
+    if (!Array.isArray(error.writeErrors)) {
+      throw error;
+    }
+    failed = new Set(error.writeErrors.map((writeError) => writeError.index));
+    writeError = error;
+  }
+
+  for (const [index, update] of updates.entries()) {
+    if (update.kingOfTheHillEvent && !failed.has(index)) {
+      await recordKingOfTheHillEvent(db, update.kingOfTheHillEvent);
+    }
+  }
+  if (writeError) {
+    throw writeError;
+  }
+}
+
+// Function to read the promotion/demotion history, newest first
+async function getKingOfTheHillEvents(db, { coinId, limit = 100 } = {}) {
+  const query = coinId ? { coinId } : {};
+  return db
+    .collection(EVENTS_COLLECTION_NAME)
+    .find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  loadRules,
+  evaluateKingOfTheHill,
+  recordKingOfTheHillEvent,
+  bulkWriteWithKingOfTheHillEvents,
+  getKingOfTheHillEvents,
+};
@@ -0,0 +1,212 @@
+// Unified price oracle
+// Each updater records its own candidate price under priceSources.<source>; the canonical
+// xrpPrice and marketCap are then picked from all candidates by a configurable policy,
+// so the result no longer depends on which script happened to run last.
+//
+// A candidate's weight, used by the "volume-weighted" policy, is the XRP volume traded through that source over about the last 24h:
+//   amm                    AMM swap volume from amm_trades
+//   xrplf_ticker           24h ticker counter volume
+//   xrplf_market_data      counter volume of the current daily candle
+//   xrplf_market_data_1m   counter volume summed over the last 24 hourly candles
+//   xrplf_exchange_rates   none (the endpoint reports no volume)
+
+// "median", "freshest", "volume-weighted" or "priority"
+const PRICE_ORACLE_POLICY = process.env.PRICE_ORACLE_POLICY || "median";
+// Earlier name of "volume-weighted", still accepted in configuration
+const POLICY_ALIASES = { "liquidity-weighted": "volume-weighted" };
+// Candidates older than this are ignored unless nothing fresher exists
+const PRICE_ORACLE_MAX_AGE_MS =
+  parseInt(process.env.PRICE_ORACLE_MAX_AGE_MS) || 60 * 60 * 1000;
+// Relative deviation from the canonical price that flags a source as divergent
+const PRICE_DIVERGENCE_THRESHOLD =
+  parseFloat(process.env.PRICE_DIVERGENCE_THRESHOLD) || 0.1;
+// Source order used by the "priority" policy
+const PRICE_SOURCE_PRIORITY = (
+  process.env.PRICE_SOURCE_PRIORITY ||
+  "amm,xrplf_ticker,xrplf_market_data_1m,xrplf_exchange_rates,xrplf_market_data"
+).split(",");
+
+const POLICIES = ["median", "freshest", "volume-weighted", "priority"];
+
+// Function to list the usable candidates, dropping stale ones when fresher data exists
+function collectCandidates(priceSources, now = Date.now()) {
+  const candidates = Object.entries(priceSources || {})
+    .map(([source, candidate]) => ({
+      source,
+      price: Number(candidate.price),
+      timestamp: new Date(candidate.timestamp).getTime(),
+      weight: Number(candidate.weight) || 0,
+    }))
+    .filter((candidate) => candidate.price > 0 && !isNaN(candidate.timestamp));
+
+  const fresh = candidates.filter(
+    (candidate) => now - candidate.timestamp <= PRICE_ORACLE_MAX_AGE_MS
+  );
+  if (fresh.length > 0) {
+    return fresh;
+  }
+  // Everything is stale: fall back to the single newest observation
+  return candidates.sort((a, b) => b.timestamp - a.timestamp).slice(0, 1);
+}
+
+// Function to name a price blended from several sources, e.g. "median:amm+xrplf_ticker"
+function blendedSource(method, candidates) {
+  return `${method}:${candidates.map((candidate) => candidate.source).join("+")}`;
+}
+
+function pickMedian(candidates) {
+  const sorted = [...candidates].sort((a, b) => a.price - b.price);
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length % 2 === 1) {
+    return { price: sorted[middle].price, source: sorted[middle].source };
+  }
+  // An even count averages the two middle prices, so both sources are kept
+  return {
+    price: (sorted[middle - 1].price + sorted[middle].price) / 2,
+    source: blendedSource("median", sorted.slice(middle - 1, middle + 1)),
+  };
+}
+
+// Function to pick the canonical price according to the policy
+function selectPrice(candidates, policy) {
+  if (policy === "freshest") {
+    const freshest = [...candidates].sort((a, b) => b.timestamp - a.timestamp)[0];
+    return { price: freshest.price, source: freshest.source };
+  }
+
+  if (policy === "priority") {
+    const rank = (source) => {
+      const index = PRICE_SOURCE_PRIORITY.indexOf(source);
+      return index === -1 ? PRICE_SOURCE_PRIORITY.length : index;
+    };
+    const preferred = [...candidates].sort((a, b) => rank(a.source) - rank(b.source))[0];
+    return { price: preferred.price, source: preferred.source };
+  }
+
+  if (policy === "volume-weighted") {
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    // Without any weights there is nothing to weigh by, so use the median instead
+    if (totalWeight > 0) {
+      const weighted = candidates.reduce(
+        (sum, candidate) => sum + candidate.price * candidate.weight,
+        0
+      );
+      const contributors = candidates.filter((candidate) => candidate.weight > 0);
+      return {
+        price: weighted / totalWeight,
+        source:
+          contributors.length === 1
+            ? contributors[0].source
+            : blendedSource("volume-weighted", contributors),
+      };
+    }
+  }
+
+  return pickMedian(candidates);
+}
+
+// Function to measure how far every candidate is from the canonical price
+function measureDivergence(candidates, canonicalPrice) {
+  const deviations = {};
+  let maxDeviation = 0;
+  for (const candidate of candidates) {
+    const deviation = Math.abs(candidate.price - canonicalPrice) / canonicalPrice;
+    deviations[candidate.source] = deviation;
+    maxDeviation = Math.max(maxDeviation, deviation);
+  }
+  return {
+    flagged: maxDeviation > PRICE_DIVERGENCE_THRESHOLD,
+    threshold: PRICE_DIVERGENCE_THRESHOLD,
+    maxDeviation,
+    deviations,
+  };
+}
+
+// Function to pick the supply used for market cap: the live circulating supply kept by
+// the supply updater, falling back to the static totalSupply until it has run
+function getMarketCapSupply(token) {
+  const circulating = token.supply ? parseFloat(token.supply.circulating) : NaN;
+  if (circulating > 0) {
+    return { supply: circulating, basis: "circulating" };
+  }
+  return { supply: parseFloat(token.totalSupply) || 0, basis: "totalSupply" };
+}
+
+// Function to resolve the canonical price from a coin's recorded candidates
+function resolvePrice(priceSources, configuredPolicy = PRICE_ORACLE_POLICY) {
+  const policy = POLICY_ALIASES[configuredPolicy] || configuredPolicy;
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown price oracle policy "${policy}"`);
+  }
+  const candidates = collectCandidates(priceSources);
+  if (candidates.length === 0) {
+    return null;
+  }
+  const selected = selectPrice(candidates, policy);
+  return {
+    price: selected.price,
+    source: selected.source,
+    policy,
+    candidates: candidates.map((candidate) => candidate.source),
+    divergence: measureDivergence(candidates, selected.price),
+  };
+}
+
+// Function to record one source's candidate price and return the $set fields for the coin:
+// the candidate itself plus the canonical xrpPrice, marketCap and their provenance.
+// `token` must carry its current priceSources, supply and totalSupply. Concurrent updaters may
+// briefly resolve against each other's previous candidate; the next update corrects it.
+function applyPriceCandidate(token, source, candidate) {
+  const recorded = {
+    price: Number(candidate.price),
+    timestamp: candidate.timestamp ? new Date(candidate.timestamp) : new Date(),
+    weight: candidate.weight !== undefined ? Number(candidate.weight) : null,
+    recordedAt: new Date(),
+  };
+
+  const priceSources = { ...(token.priceSources || {}), [source]: recorded };
+  const resolved = resolvePrice(priceSources);
+  const updateFields = { [`priceSources.${source}`]: recorded };
+  if (!resolved) {
+    return { updateFields, resolved: null };
+  }
+
+  const { supply, basis } = getMarketCapSupply(token);
+  const marketCap = resolved.price * supply;
+
+  Object.assign(updateFields, {
+    xrpPrice: resolved.price,
+    marketCap,
+    priceSource: resolved.source,
+    marketCapSource: resolved.source,
+    // "circulating" or "totalSupply"
+    marketCapBasis: basis,
+    priceOracle: {
+      policy: resolved.policy,
+      candidates: resolved.candidates,
+      supplyBasis: basis,
+      divergence: resolved.divergence,
+      updatedAt: new Date(),
+    },
+  });
+
+  if (resolved.divergence.flagged) {
+    console.warn(
+      `Price divergence for ${token.symbol}: max ${(resolved.divergence.maxDeviation * 100).toFixed(
+        2
+      )}% across ${resolved.candidates.join(", ")}`
+    );
+  }
+
+  return {
+    updateFields,
+    resolved: { ...resolved, marketCap, supplyBasis: basis },
+  };
+}
+
+module.exports = {
+  PRICE_ORACLE_POLICY,
+  resolvePrice,
+  applyPriceCandidate,
+  getMarketCapSupply,
+};
@@ -0,0 +1,148 @@
+// Token list query parsing shared by fetchTokens and the HTTP API
+// Turns URL search params into a Mongo filter, an allow-listed sort and pagination.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = parseInt(process.env.TOKENS_MAX_LIMIT) || 100;
+const DEFAULT_SORT = "upvotes";
+
+// Fields a client may sort by
+const SORT_FIELDS = [
+  "upvotes",
+  "downvotes",
+  "date",
+  "name",
+  "symbol",
+  "xrpPrice",
+  "marketCap",
+  "aggregatedLiquidity",
+  "totalLiquidity",
+  "volume24h",
+  "organicVolume24h",
+  "washShare",
+  "volume7d",
+  "volume30d",
+  "trendingScore",
+  "flow.1h.netBuyVolume",
+  "flow.24h.netBuyVolume",
+  "flow.7d.netBuyVolume",
+  "flow.24h.netBuyPressure",
+  "counter_volume",
+  "lastUpdated",
+  "risk.score",
+];
+
+// Risk levels a client may filter by (see Rippled API/riskScoring.js)
+const RISK_LEVELS = ["low", "medium", "high"];
+
+// Function to build an error the HTTP layer reports as 400 Bad Request
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Function to escape user input before using it in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseNumber(searchParams, name) {
+  const raw = searchParams.get(name);
+  if (raw === null || raw === "") {
+    return undefined;
+  }
+  const value = parseFloat(raw);
+  if (isNaN(value)) {
+    throw badRequest(`"${name}" must be a number`);
+  }
+  return value;
+}
+
+// Function to build the Mongo filter from the search params
+function buildTokenFilter(searchParams) {
+  const conditions = [];
+
+  // Case-insensitive text search on name and symbol
+  const q = (searchParams.get("q") || "").trim();
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), "i");
+    conditions.push({ $or: [{ name: pattern }, { symbol: pattern }] });
+  }
+
+  // kingOfTheHill=true|false, or a tier name such as kingOfTheHill=king
+  const kingOfTheHill = searchParams.get("kingOfTheHill");
+  if (kingOfTheHill === "true") {
+    conditions.push({ kingOfTheHill: { $ne: null } });
+  } else if (kingOfTheHill === "false") {
+    conditions.push({ kingOfTheHill: null });
+  } else if (kingOfTheHill) {
+    conditions.push({ "kingOfTheHill.tier": kingOfTheHill });
+  }
+
+  const minMarketCap = parseNumber(searchParams, "minMarketCap");
+  if (minMarketCap !== undefined) {
+    conditions.push({ marketCap: { $gte: minMarketCap } });
+  }
+
+  const minLiquidity = parseNumber(searchParams, "minLiquidity");
+  if (minLiquidity !== undefined) {
+    conditions.push({ aggregatedLiquidity: { $gte: minLiquidity } });
+  }
+
+  // maxRisk=<0-100> keeps scored coins at or below the score
+  const maxRisk = parseNumber(searchParams, "maxRisk");
+  if (maxRisk !== undefined) {
+    conditions.push({ "risk.score": { $lte: maxRisk } });
+  }
+
+  // riskLevel=low or riskLevel=low,medium
+  const riskLevel = searchParams.get("riskLevel");
+  if (riskLevel) {
+    const levels = riskLevel.split(",").map((level) => level.trim());
+    const unknown = levels.filter((level) => !RISK_LEVELS.includes(level));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown risk level "${unknown[0]}". Allowed: ${RISK_LEVELS.join(", ")}`);
+    }
+    conditions.push({ "risk.level": { $in: levels } });
+  }
+
+  const creator = searchParams.get("creator");
+  if (creator) {
+    conditions.push({ creator });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+// Function to parse pagination, sort and filters.
+// Throws an error with status 400 for invalid input.
+function parseTokenQuery(searchParams) {
+  const limit = Math.max(
+    Math.min(parseInt(searchParams.get("limit")) || DEFAULT_LIMIT, MAX_LIMIT),
+    1
+  );
+  const page = Math.max(parseInt(searchParams.get("page")) || 1, 1);
+  const sort = searchParams.get("sort") || DEFAULT_SORT;
+  const order = searchParams.get("order") === "asc" ? 1 : -1;
+
+  if (!SORT_FIELDS.includes(sort)) {
+    throw badRequest(`Cannot sort by "${sort}". Allowed: ${SORT_FIELDS.join(", ")}`);
+  }
+
+  return {
+    filter: buildTokenFilter(searchParams),
+    // _id keeps the order stable across pages when sort values tie
+    sortOption: { [sort]: order, _id: order },
+    limit,
+    page,
+    skip: (page - 1) * limit,
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  escapeRegExp,
+  buildTokenFilter,
+  parseTokenQuery,
+};
@@ -0,0 +1,295 @@
+// Shared XRPLF Data API client
+// One rate budget for every process (kept in MongoDB), retries with backoff on 429 and
+// transport errors, and a pluggable transport so tests can run against a local fake server.
+// Requests go out through the shared egress (lib/egress.js) unless another transport is given.
+
+const Bottleneck = require("bottleneck");
+const { connectToDatabase } = require("./db");
+const { getEgress } = require("./egress");
+
+const XRPLF_API_URL = process.env.XRPLF_API_URL || "https://data.xrplf.org";
+// XRPLF allows 600 requests per minute per client IP
+const XRPLF_RATE_LIMIT = parseInt(process.env.XRPLF_RATE_LIMIT) || 600;
+const XRPLF_RATE_WINDOW_MS = 60 * 1000;
+// "mongo" shares the budget across processes, "memory" keeps it per process
+const XRPLF_RATE_BUDGET = process.env.XRPLF_RATE_BUDGET || "mongo";
+const RATE_BUDGET_COLLECTION_NAME =
+  process.env.RATE_BUDGET_COLLECTION_NAME || "rate_budgets";
+
+// Helper function to wait for a specified number of milliseconds
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Function to read the rate limit headers XRPLF sends back
+function parseRateLimitHeaders(headers) {
+  const limit = parseInt(headers.get("X-Ratelimit-Limit"));
+  const remaining = parseInt(headers.get("X-Ratelimit-Remaining"));
+  const reset = parseInt(headers.get("X-Ratelimit-Reset")); // Seconds until the window resets
+  return {
+    limit: isNaN(limit) ? null : limit,
+    remaining: isNaN(remaining) ? null : remaining,
+    resetMs: isNaN(reset) ? null : reset * 1000,
+  };
+}
+
+// Function to create a per-process budget (for tests and single-script setups)
+function createMemoryBudget({ limit = XRPLF_RATE_LIMIT, windowMs = XRPLF_RATE_WINDOW_MS } = {}) {
+  const state = { limit, used: 0, windowEnd: Date.now() + windowMs };
+
+  async function acquire() {
+    for (;;) {
+      const now = Date.now();
+      if (now >= state.windowEnd) {
+        state.used = 0;
+        state.windowEnd = now + windowMs;
+      }
+      if (state.used < state.limit) {
+        state.used++;
+        return;
+      }
+      await wait(state.windowEnd - now);
+    }
+  }
+
+  async function sync({ limit: serverLimit, remaining, resetMs }) {
+    if (serverLimit !== null) {
+      state.limit = serverLimit;
+    }
+    if (remaining !== null) {
+      state.used = Math.max(state.used, state.limit - remaining);
+    }
+    if (resetMs !== null && remaining === 0) {
+      state.windowEnd = Math.max(state.windowEnd, Date.now() + resetMs);
+    }
+  }
+
+  // The server's wait time replaces the local window
+  async function exhaust(waitMs) {
+    state.used = state.limit;
+    state.windowEnd = Date.now() + waitMs;
+  }
+
+  return { acquire, sync, exhaust };
+}
+
+// Function to create a budget shared by every process through one MongoDB document.
+// Each request atomically claims a slot in the current window; when the window is full
+// callers wait for it to roll over.
+function createMongoBudget({
+  key = "xrplf",
+  limit = XRPLF_RATE_LIMIT,
+  windowMs = XRPLF_RATE_WINDOW_MS,
+} = {}) {
+  async function getCollection() {
+    const { db } = await connectToDatabase();
+    return db.collection(RATE_BUDGET_COLLECTION_NAME);
+  }
+
+  async function acquire() {
+    const collection = await getCollection();
+
+    for (;;) {
+      const now = new Date();
+
+      // Claim a slot in the open window
+      const claimed = await collection.findOneAndUpdate(
+        { _id: key, windowEnd: { $gt: now }, $expr: { $lt: ["$used", "$limit"] } },
+        { $inc: { used: 1 } }
+      );
+      if (claimed) {
+        return;
+      }
+
+      // Open a new window if the current one has expired (or none exists yet)
+      try {
+        const opened = await collection.updateOne(
+          { _id: key, windowEnd: { $lte: now } },
+          {
+            $set: {
+              windowStart: now,
+              windowEnd: new Date(now.getTime() + windowMs),
+              used: 1,
+            },
+            $setOnInsert: { limit },
+          },
+          { upsert: true }
+        );
+        if (opened.modifiedCount > 0 || opened.upsertedCount > 0) {
+          return;
+        }
+      } catch (error) {
+        // Duplicate key: the document exists with a window that is still open
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      // Retry straight away if another process just opened a window with room left,
+      // otherwise sleep until the window rolls over
+      const current = await collection.findOne({ _id: key });
+      if (current && current.windowEnd > new Date() && current.used < current.limit) {
+        continue;
+      }
+      const waitTime = current ? current.windowEnd.getTime() - Date.now() : 100;
+      if (waitTime > 1000) {
+        console.warn(`XRPLF rate budget exhausted. Waiting for ${Math.ceil(waitTime / 1000)} seconds.`);
+      }
+      await wait(Math.max(waitTime, 50));
+    }
+  }
+
+  async function sync({ limit: serverLimit, remaining, resetMs }) {
+    const collection = await getCollection();
+    const update = {};
+    if (serverLimit !== null) {
+      update.$set = { limit: serverLimit };
+    }
+    if (remaining !== null && serverLimit !== null) {
+      update.$max = { used: serverLimit - remaining };
+    }
+    if (resetMs !== null && remaining === 0) {
+      update.$max = { ...(update.$max || {}), windowEnd: new Date(Date.now() + resetMs) };
+    }
+    if (Object.keys(update).length > 0) {
+      await collection.updateOne({ _id: key }, update);
+    }
+  }
+
+  async function exhaust(waitMs) {
+    const collection = await getCollection();
+    await collection.updateOne({ _id: key }, [
+      { $set: { used: "$limit", windowEnd: new Date(Date.now() + waitMs) } },
+    ]);
+  }
+
+  return { acquire, sync, exhaust };
+}
+
+// Function to build the query string, skipping unset parameters
+function buildUrl(baseUrl, path, params = {}) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join("&");
+  return `${baseUrl}${path}${query ? `?${query}` : ""}`;
+}
+
+// Function to create an XRPLF client.
+// Options: baseUrl, transport(url, init) returning a fetch-style response (defaults to the
+// shared egress), requestInit, budget, maxConcurrent, minTime.
+function createXrplfClient(options = {}) {
+  const baseUrl = options.baseUrl || XRPLF_API_URL;
+  const transport = options.transport || getEgress().fetch;
+  const requestInit = options.requestInit || {};
+  const budget =
+    options.budget ||
+    (XRPLF_RATE_BUDGET === "memory" ? createMemoryBudget() : createMongoBudget());
+
+  // Local concurrency control; the request count itself is governed by the shared budget
+  const limiter = new Bottleneck({
+    maxConcurrent: options.maxConcurrent || 10,
+    minTime: options.minTime !== undefined ? options.minTime : 100,
+  });
+
+  // Fetch with retries: honours Retry-After / X-Ratelimit-Reset on 429, exponential backoff otherwise
+  async function fetchWithRetry(url, retries = 3, delayMs = 1000) {
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        await budget.acquire();
+        const response = await transport(url, requestInit);
+        const rateLimit = parseRateLimitHeaders(response.headers);
+        await budget.sync(rateLimit);
+
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers.get("Retry-After"));
+          const waitTime = !isNaN(retryAfter)
+            ? retryAfter * 1000
+            : rateLimit.resetMs !== null
+            ? rateLimit.resetMs
+            : delayMs;
+          console.warn(`Received 429. Retrying after ${waitTime / 1000} seconds.`);
+          await budget.exhaust(waitTime);
+          continue;
+        }
+
+        if (!response.ok) {
+          const error = new Error(`HTTP error! status: ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+
+        // Awaited here so a truncated or invalid body is retried like a transport error
+        return await response.json();
+      } catch (error) {
+        // Client errors other than 429 will not succeed on retry
+        if (error.status && error.status < 500) {
+          throw error;
+        }
+        const route = error.route ? ` via ${error.route.proxy || error.route.route}` : "";
+        console.error(`Fetch attempt ${attempt + 1} failed for ${url}${route}:`, error.message);
+        if (attempt < retries - 1) {
+          const backoffTime = delayMs * Math.pow(2, attempt); // Exponential backoff
+          console.log(`Retrying in ${backoffTime} ms...`);
+          await wait(backoffTime);
+        } else {
+          throw error;
+        }
+      }
+    }
+    throw new Error(`Rate limited on every attempt for ${url}`);
+  }
+
+  function request(path, params) {
+    const url = buildUrl(baseUrl, path, params);
+    return limiter.schedule(() => fetchWithRetry(url));
+  }
+
+  // GET /v1/iou/exchange_rates/{base}/{counter}
+  function exchangeRates(base, counter = "XRP") {
+    return request(`/v1/iou/exchange_rates/${base}/${counter}`);
+  }
+
+  // GET /v1/iou/market_data/{base}/{counter}
+  // params: interval, start, end, only_amm, exclude_amm, descending, skip, limit
+  function marketData(base, counter = "XRP", params = {}) {
+    return request(`/v1/iou/market_data/${base}/${counter}`, params);
+  }
+
+  // GET /v1/iou/volume_data/{base}
+  // params: interval, start, end, exclude_amm
+  function volumeData(base, params = {}) {
+    return request(`/v1/iou/volume_data/${base}`, params);
+  }
+
+  // GET /v1/iou/ticker_data/{base}, where base may be "all"
+  // params: interval, only_amm
+  function tickerData(base = "all", params = {}) {
+    return request(`/v1/iou/ticker_data/${base}`, params);
+  }
+
+  return {
+    request,
+    exchangeRates,
+    marketData,
+    volumeData,
+    tickerData,
+  };
+}
+
+// Default client, created on first use
+let cachedClient = null;
+
+function getXrplfClient() {
+  if (!cachedClient) {
+    cachedClient = createXrplfClient();
+  }
+  return cachedClient;
+}
+
+module.exports = {
+  createXrplfClient,
+  createMemoryBudget,
+  createMongoBudget,
+  getXrplfClient,
+};